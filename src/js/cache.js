@@ -0,0 +1,352 @@
+/**
+ * CACHE MODULE
+ * Versioned stale-while-revalidate cache shared by the repository providers
+ * Storage: IndexedDB first, then localStorage, then memory (e.g. Node)
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const CACHE_CONFIG = {
+    dbName: 'portfolio-cache',
+    storeName: 'entries',
+    // Bump when the shape of cached data changes; older entries are dropped
+    schemaVersion: 6,
+    prefix: 'cache_',
+    legacyPrefixes: ['gh_']
+};
+
+const isQuotaError = (error) =>
+    error && (error.name === 'QuotaExceededError' || error.code === 22 || error.code === 1014);
+
+// ============================================
+// STORAGE BACKENDS
+// ============================================
+class MemoryBackend {
+    constructor() {
+        this.name = 'memory';
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    async set(key, entry) {
+        this.entries.set(key, entry);
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+class LocalStorageBackend {
+    constructor(storage, prefix) {
+        this.name = 'localStorage';
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    async get(key) {
+        const raw = this.storage.getItem(`${this.prefix}${key}`);
+        if (!raw) return null;
+
+        try {
+            return JSON.parse(raw);
+        } catch {
+            // Corrupted entry: drop it and treat as a miss
+            this.storage.removeItem(`${this.prefix}${key}`);
+            return null;
+        }
+    }
+
+    async set(key, entry) {
+        const value = JSON.stringify(entry);
+
+        try {
+            this.storage.setItem(`${this.prefix}${key}`, value);
+        } catch (error) {
+            if (!isQuotaError(error)) throw error;
+
+            // Make room by evicting our oldest entries, then retry once
+            this.evictOldest(Math.ceil(this.ownKeys().length / 2));
+            this.storage.setItem(`${this.prefix}${key}`, value);
+        }
+    }
+
+    async delete(key) {
+        this.storage.removeItem(`${this.prefix}${key}`);
+    }
+
+    async clear() {
+        this.ownKeys().forEach(key => this.storage.removeItem(key));
+    }
+
+    ownKeys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.prefix)) keys.push(key);
+        }
+        return keys;
+    }
+
+    evictOldest(count) {
+        const timestampOf = (key) => {
+            try {
+                return JSON.parse(this.storage.getItem(key)).timestamp || 0;
+            } catch {
+                return 0;
+            }
+        };
+
+        this.ownKeys()
+            .sort((a, b) => timestampOf(a) - timestampOf(b))
+            .slice(0, count)
+            .forEach(key => this.storage.removeItem(key));
+    }
+
+    /**
+     * Remove entries written by the old localStorage-only cache
+     */
+    removeLegacyKeys(prefixes) {
+        const legacy = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && prefixes.some(prefix => key.startsWith(prefix))) legacy.push(key);
+        }
+        legacy.forEach(key => this.storage.removeItem(key));
+    }
+}
+
+class IndexedDBBackend {
+    constructor(db, storeName) {
+        this.name = 'indexedDB';
+        this.db = db;
+        this.storeName = storeName;
+    }
+
+    /**
+     * Open the database; a schema version bump recreates the store
+     */
+    static open({ dbName, storeName, schemaVersion }) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, schemaVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (db.objectStoreNames.contains(storeName)) {
+                    db.deleteObjectStore(storeName);
+                }
+                db.createObjectStore(storeName);
+            };
+
+            request.onsuccess = () => resolve(new IndexedDBBackend(request.result, storeName));
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked'));
+        });
+    }
+
+    transaction(mode, run) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            const request = run(tx.objectStore(this.storeName));
+
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async get(key) {
+        return (await this.transaction('readonly', store => store.get(key))) || null;
+    }
+
+    async set(key, entry) {
+        try {
+            await this.transaction('readwrite', store => store.put(entry, key));
+        } catch (error) {
+            if (!isQuotaError(error)) throw error;
+
+            // Out of space: start over with an empty store and retry once
+            await this.clear();
+            await this.transaction('readwrite', store => store.put(entry, key));
+        }
+    }
+
+    async delete(key) {
+        await this.transaction('readwrite', store => store.delete(key));
+    }
+
+    async clear() {
+        await this.transaction('readwrite', store => store.clear());
+    }
+}
+
+// ============================================
+// STALE-WHILE-REVALIDATE CACHE
+// ============================================
+class SWRCache {
+    constructor(config) {
+        this.config = config;
+        this.memory = new MemoryBackend();
+        this.backend = null;
+        this.pending = new Map();
+    }
+
+    /**
+     * Pick the first storage that works in this environment
+     */
+    ready() {
+        if (!this.backendPromise) {
+            this.backendPromise = this.selectBackend().then(backend => {
+                this.backend = backend;
+                return backend;
+            });
+        }
+        return this.backendPromise;
+    }
+
+    async selectBackend() {
+        const local = this.getLocalStorage();
+        if (local) local.removeLegacyKeys(this.config.legacyPrefixes);
+
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                return await IndexedDBBackend.open(this.config);
+            } catch (error) {
+                console.warn('IndexedDB unavailable, falling back:', error);
+            }
+        }
+
+        return local || this.memory;
+    }
+
+    getLocalStorage() {
+        try {
+            if (typeof localStorage === 'undefined') return null;
+
+            const probe = `${this.config.prefix}__probe__`;
+            localStorage.setItem(probe, '1');
+            localStorage.removeItem(probe);
+
+            return new LocalStorageBackend(localStorage, this.config.prefix);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Read an entry ({ data, timestamp }) or null
+     * Entries from another schema version or unreadable entries are misses
+     */
+    async getEntry(key) {
+        const backend = await this.ready();
+
+        try {
+            const entry = await backend.get(key);
+            if (!entry) return this.memory.get(key);
+
+            if (entry.version !== this.config.schemaVersion || !('data' in entry)) {
+                await backend.delete(key);
+                return null;
+            }
+
+            return entry;
+        } catch (error) {
+            console.warn(`Cache read failed for ${key}:`, error);
+            return this.memory.get(key);
+        }
+    }
+
+    /**
+     * Read data no older than maxAge, or null
+     */
+    async get(key, maxAge) {
+        const entry = await this.getEntry(key);
+        if (!entry || Date.now() - entry.timestamp > maxAge) return null;
+
+        return entry.data;
+    }
+
+    /**
+     * Write data; falls back to memory when persistent storage refuses it
+     */
+    async set(key, data) {
+        const backend = await this.ready();
+        const entry = { data, timestamp: Date.now(), version: this.config.schemaVersion };
+
+        try {
+            await backend.set(key, entry);
+        } catch (error) {
+            console.warn(`Cache write failed for ${key}, keeping it in memory:`, error);
+            await this.memory.set(key, entry);
+        }
+    }
+
+    async delete(key) {
+        const backend = await this.ready();
+        await Promise.all([backend.delete(key), this.memory.delete(key)]);
+    }
+
+    /**
+     * Stale-while-revalidate lookup
+     * - fresh (younger than maxAge): returned as is
+     * - stale (younger than staleAge): returned immediately, reloaded in the
+     *   background and handed to onUpdate once the reload succeeds
+     * - missing: loaded and stored; if loading fails, any older entry is served
+     */
+    async getOrLoad(key, loader, { maxAge, staleAge = Infinity, onUpdate = null }) {
+        const entry = await this.getEntry(key);
+        const age = entry ? Date.now() - entry.timestamp : Infinity;
+
+        if (entry && age <= maxAge) return entry.data;
+
+        if (entry && age <= staleAge) {
+            this.revalidate(key, loader)
+                .then(data => onUpdate && onUpdate(data))
+                .catch(error => console.warn(`Background revalidation failed for ${key}:`, error));
+
+            return entry.data;
+        }
+
+        try {
+            return await this.revalidate(key, loader);
+        } catch (error) {
+            if (entry) {
+                console.warn(`Refetch failed for ${key}, serving expired entry:`, error);
+                return entry.data;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Run the loader once per key at a time and store its result
+     */
+    revalidate(key, loader) {
+        if (!this.pending.has(key)) {
+            const promise = (async () => {
+                const data = await loader();
+                await this.set(key, data);
+                return data;
+            })().finally(() => this.pending.delete(key));
+
+            this.pending.set(key, promise);
+        }
+
+        return this.pending.get(key);
+    }
+}
+
+const Cache = new SWRCache(CACHE_CONFIG);
+
+// ============================================
+// EXPORT
+// ============================================
+export { Cache, SWRCache, CACHE_CONFIG };
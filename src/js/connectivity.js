@@ -0,0 +1,57 @@
+/**
+ * CONNECTIVITY MODULE
+ * Tracks navigator.onLine and the online/offline events: an offline
+ * banner for the whole page and reconnect hooks for sections that
+ * should reload once the network is back
+ */
+
+// ============================================
+// STATUS
+// ============================================
+
+/**
+ * navigator.onLine is only trustworthy when it says false, so a
+ * missing API counts as online
+ */
+const isOnline = () => navigator.onLine !== false;
+
+/**
+ * Call back every time the browser comes back online
+ * @returns {Function} Removes the listener
+ */
+const onReconnect = (callback) => {
+    window.addEventListener('online', callback);
+    return () => window.removeEventListener('online', callback);
+};
+
+// ============================================
+// OFFLINE BANNER
+// ============================================
+class OfflineBanner {
+    /**
+     * @param {string} elementId - Banner element, hidden while online
+     */
+    constructor(elementId) {
+        this.element = document.getElementById(elementId);
+        if (!this.element) return;
+
+        this.update = this.update.bind(this);
+        window.addEventListener('online', this.update);
+        window.addEventListener('offline', this.update);
+        this.update();
+    }
+
+    update() {
+        this.element.hidden = isOnline();
+    }
+}
+
+// ============================================
+// INITIALIZER
+// ============================================
+const initOfflineBanner = () => new OfflineBanner('offline-banner');
+
+// ============================================
+// EXPORT
+// ============================================
+export { OfflineBanner, initOfflineBanner, isOnline, onReconnect };
@@ -0,0 +1,286 @@
+/**
+ * CONTRIBUTION CALENDAR MODULE
+ * GitHub-style activity heatmap rendered as SVG in the neon palette,
+ * with hover tooltips, a year selector and current / longest streaks
+ */
+
+import { html, setHTML } from './html.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const CALENDAR_CONFIG = {
+    cellSize: 12,
+    cellGap: 3,
+    labelWidth: 30, // Room for weekday labels
+    labelHeight: 18, // Room for month labels
+    levels: 4 // Intensity levels above "no contributions"
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAY_LABELS = { 1: 'Mon', 3: 'Wed', 5: 'Fri' };
+
+// ============================================
+// DATE HELPERS
+// ============================================
+// Calendar dates are plain YYYY-MM-DD strings, handled in UTC so the
+// visitor's timezone never shifts a contribution to another day
+const parseDay = (date) => new Date(`${date}T00:00:00Z`);
+const toDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+const formatDay = (date) => parseDay(date).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC'
+});
+
+/**
+ * Every day from..to (inclusive), zero where the data has no entry
+ */
+const fillDays = (from, to, days) => {
+    const counts = new Map(days.map(day => [day.date, day.count]));
+    const filled = [];
+
+    for (let time = parseDay(from).getTime(); time <= parseDay(to).getTime(); time += DAY_MS) {
+        const date = toDay(time);
+        filled.push({ date, count: counts.get(date) || 0 });
+    }
+
+    return filled;
+};
+
+// ============================================
+// STREAKS
+// ============================================
+
+/**
+ * Longest run of active days, and the run ending on the last day
+ * A last day without contributions (usually today) does not break it
+ */
+const computeStreaks = (days) => {
+    let longest = 0;
+    let run = 0;
+
+    days.forEach(day => {
+        run = day.count > 0 ? run + 1 : 0;
+        longest = Math.max(longest, run);
+    });
+
+    let current = 0;
+    let index = days.length - 1;
+    if (index >= 0 && days[index].count === 0) index--;
+
+    while (index >= 0 && days[index].count > 0) {
+        current++;
+        index--;
+    }
+
+    return { current, longest };
+};
+
+const getLevel = (count, max) =>
+    count === 0 ? 0 : Math.max(1, Math.ceil((count / max) * CALENDAR_CONFIG.levels));
+
+const pluralize = (count, word) => `${count.toLocaleString('en-US')} ${word}${count === 1 ? '' : 's'}`;
+
+// ============================================
+// CONTRIBUTION CALENDAR CLASS
+// ============================================
+class ContributionCalendar {
+    /**
+     * @param {string} containerId - Element holding the .activity__* markup
+     * @param {PortfolioAPI} api - The shared portfolio API, provides getContributionCalendar(year)
+     */
+    constructor(containerId, api) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.api = api;
+        this.year = null;
+        this.requestId = 0;
+
+        this.calendarEl = this.container.querySelector('.activity__calendar');
+        this.yearsEl = this.container.querySelector('.activity__years');
+        this.summaryEl = this.container.querySelector('.activity__summary');
+        this.noteEl = this.container.querySelector('.activity__note');
+        this.tooltip = this.container.querySelector('.activity__tooltip');
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.load();
+    }
+
+    setupEventListeners() {
+        // Tooltips are delegated so re-rendered cells need no listeners
+        this.calendarEl.addEventListener('pointerover', (event) => {
+            const cell = event.target.closest('.activity__cell');
+            if (cell) this.showTooltip(cell);
+        });
+        this.calendarEl.addEventListener('pointerleave', () => this.hideTooltip());
+
+        this.yearsEl.addEventListener('click', (event) => {
+            const btn = event.target.closest('[data-year]');
+            if (!btn) return;
+
+            this.load(btn.dataset.year ? Number(btn.dataset.year) : null);
+        });
+    }
+
+    /**
+     * Fetch and render one year (null = last 12 months)
+     * Only the latest request renders when the year changes quickly
+     */
+    async load(year = null) {
+        const requestId = ++this.requestId;
+        this.year = year;
+        this.container.classList.add('activity--loading');
+
+        try {
+            const calendar = await this.api.getContributionCalendar(year);
+            if (requestId !== this.requestId) return;
+
+            this.render(calendar);
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+
+            console.error('Error loading contribution calendar:', error);
+            setHTML(this.calendarEl, html`<p class="activity__error">Contribution activity is unavailable right now.</p>`);
+            this.summaryEl.innerHTML = '';
+        } finally {
+            if (requestId === this.requestId) {
+                this.container.classList.remove('activity--loading');
+            }
+        }
+    }
+
+    render(calendar) {
+        const days = fillDays(calendar.from, calendar.to, calendar.days);
+
+        this.renderYears(calendar.years);
+        this.renderGrid(days, calendar.total);
+        this.renderSummary(calendar, days);
+
+        this.noteEl.textContent = calendar.source === 'events'
+            ? 'Based on public events from the last 90 days. Add a GitHub token for the full history.'
+            : '';
+        this.noteEl.hidden = calendar.source !== 'events';
+    }
+
+    renderYears(years) {
+        const button = (value, label) => {
+            const active = (value || null) === this.year;
+            return html`<button class="filter__btn${active ? ' filter__btn--active' : ''}" data-year="${value}">${label}</button>`;
+        };
+
+        setHTML(this.yearsEl, html`
+            ${button('', 'Last 12 months')}
+            ${(years || []).map(year => button(year, year))}
+        `);
+    }
+
+    renderGrid(days, total) {
+        const { cellSize, cellGap, labelWidth, labelHeight } = CALENDAR_CONFIG;
+        const step = cellSize + cellGap;
+        const offset = days.length ? parseDay(days[0].date).getUTCDay() : 0;
+        const weeks = Math.ceil((days.length + offset) / 7);
+        const max = Math.max(1, ...days.map(day => day.count));
+
+        const cells = [];
+        const monthLabels = [];
+        let lastLabelWeek = -Infinity;
+
+        days.forEach((day, index) => {
+            const week = Math.floor((index + offset) / 7);
+            const weekday = (index + offset) % 7;
+            const x = labelWidth + week * step;
+
+            // Label a month at the first week it starts in, if there is room
+            const date = parseDay(day.date);
+            if ((date.getUTCDate() === 1 || index === 0) && week - lastLabelWeek >= 3) {
+                monthLabels.push(html`<text class="activity__label" x="${x}" y="${labelHeight - 6}">${MONTHS[date.getUTCMonth()]}</text>`);
+                lastLabelWeek = week;
+            }
+
+            cells.push(html`
+                <rect class="activity__cell activity__cell--level-${getLevel(day.count, max)}"
+                      x="${x}" y="${labelHeight + weekday * step}"
+                      width="${cellSize}" height="${cellSize}" rx="2"
+                      data-date="${day.date}" data-count="${day.count}"></rect>
+            `);
+        });
+
+        const weekdayLabels = Object.entries(WEEKDAY_LABELS).map(([weekday, label]) =>
+            html`<text class="activity__label" x="0" y="${labelHeight + weekday * step + cellSize - 2}">${label}</text>`
+        );
+
+        const width = labelWidth + weeks * step;
+        const height = labelHeight + 7 * step;
+
+        setHTML(this.calendarEl, html`
+            <svg class="activity__svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"
+                 role="img" aria-label="${pluralize(total, 'contribution')} between ${formatDay(days[0]?.date || toDay(Date.now()))} and ${formatDay(days[days.length - 1]?.date || toDay(Date.now()))}">
+                ${monthLabels}
+                ${weekdayLabels}
+                ${cells}
+            </svg>
+        `);
+    }
+
+    renderSummary(calendar, days) {
+        const { current, longest } = computeStreaks(days);
+        const period = calendar.year ? `in ${calendar.year}` : 'in the last year';
+
+        // A current streak only means something when the range ends today
+        const showCurrent = calendar.to === toDay(Date.now());
+
+        setHTML(this.summaryEl, html`
+            <div class="activity__stat">
+                <span class="activity__stat-number">${calendar.total.toLocaleString('en-US')}</span>
+                <span class="activity__stat-label">Contributions ${period}</span>
+            </div>
+            ${showCurrent && html`
+                <div class="activity__stat">
+                    <span class="activity__stat-number">${current}</span>
+                    <span class="activity__stat-label">Current streak (days)</span>
+                </div>
+            `}
+            <div class="activity__stat">
+                <span class="activity__stat-number">${longest}</span>
+                <span class="activity__stat-label">Longest streak (days)</span>
+            </div>
+        `);
+    }
+
+    showTooltip(cell) {
+        const count = Number(cell.dataset.count);
+        this.tooltip.textContent = `${count ? pluralize(count, 'contribution') : 'No contributions'} on ${formatDay(cell.dataset.date)}`;
+        this.tooltip.hidden = false;
+
+        // Center above the cell, relative to the container
+        const cellRect = cell.getBoundingClientRect();
+        const containerRect = this.container.getBoundingClientRect();
+        this.tooltip.style.left = `${cellRect.left - containerRect.left + cellRect.width / 2}px`;
+        this.tooltip.style.top = `${cellRect.top - containerRect.top}px`;
+    }
+
+    hideTooltip() {
+        this.tooltip.hidden = true;
+    }
+}
+
+// ============================================
+// INITIALIZER
+// ============================================
+const initContributionCalendar = (api) =>
+    new ContributionCalendar('activity-calendar', api);
+
+// ============================================
+// EXPORT
+// ============================================
+export { ContributionCalendar, initContributionCalendar, computeStreaks };
@@ -0,0 +1,143 @@
+/**
+ * COUNTER MODULE
+ * Animated number counters that count up once they scroll into view,
+ * retarget smoothly when revalidated data arrives and format large
+ * numbers compactly (1.2k)
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const COUNTER_CONFIG = {
+    duration: 2000,
+    // Share of the element that has to be visible before it counts
+    threshold: 0.5,
+    // Values from here on are shown as 1.2k, 3.4m
+    compactFrom: 1000
+};
+
+const compactFormat = new Intl.NumberFormat('en-US', {
+    notation: 'compact',
+    maximumFractionDigits: 1
+});
+
+/**
+ * 950 -> "950", 1234 -> "1.2k", 2500000 -> "2.5m"
+ */
+const formatCount = (value) => (value >= COUNTER_CONFIG.compactFrom
+    ? compactFormat.format(value).toLowerCase()
+    : Math.round(value).toLocaleString('en-US'));
+
+const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+
+const prefersReducedMotion = () =>
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+// ============================================
+// VIEWPORT TRACKING
+// ============================================
+const counters = new WeakMap();
+let observer = null;
+
+const getObserver = () => {
+    if (!observer && 'IntersectionObserver' in window) {
+        observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const counter = counters.get(entry.target);
+                if (counter) counter.setVisible(entry.isIntersecting);
+            });
+        }, { threshold: COUNTER_CONFIG.threshold });
+    }
+    return observer;
+};
+
+// ============================================
+// COUNTER CLASS
+// ============================================
+class Counter {
+    /**
+     * @param {HTMLElement} element - Shows the formatted value
+     */
+    constructor(element) {
+        this.element = element;
+        this.value = 0;
+        this.target = null;
+        this.frame = null;
+
+        const viewport = getObserver();
+        // Without IntersectionObserver every counter counts right away
+        this.visible = !viewport;
+        if (viewport) viewport.observe(element);
+    }
+
+    /**
+     * Count toward a new value; waits until the element is in view
+     */
+    setTarget(target) {
+        this.target = Number(target) || 0;
+        this.element.dataset.count = this.target;
+        this.element.title = this.target.toLocaleString('en-US');
+
+        if (prefersReducedMotion()) {
+            cancelAnimationFrame(this.frame);
+            this.render(this.target);
+            return;
+        }
+
+        if (this.visible) this.animate();
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        if (visible && this.target !== null && this.value !== this.target) this.animate();
+    }
+
+    /**
+     * Ease from the value on screen, so a revalidated total continues
+     * from where the previous count stopped
+     */
+    animate() {
+        cancelAnimationFrame(this.frame);
+
+        const from = this.value;
+        const to = this.target;
+        let startTime = null;
+
+        const step = (currentTime) => {
+            if (startTime === null) startTime = currentTime;
+
+            const progress = Math.min((currentTime - startTime) / COUNTER_CONFIG.duration, 1);
+            this.render(from + (to - from) * easeOutCubic(progress));
+
+            if (progress < 1) this.frame = requestAnimationFrame(step);
+        };
+
+        this.frame = requestAnimationFrame(step);
+    }
+
+    render(value) {
+        this.value = value === this.target ? value : Math.floor(value);
+        this.element.textContent = formatCount(this.value);
+    }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Set an element's counter target, creating its counter on first use
+ * @param {HTMLElement} element
+ * @param {number} target
+ */
+const setCount = (element, target) => {
+    if (!element) return;
+
+    if (!counters.has(element)) counters.set(element, new Counter(element));
+    counters.get(element).setTarget(target);
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export { Counter, setCount, formatCount, COUNTER_CONFIG };
@@ -0,0 +1,286 @@
+/**
+ * FORMATIONS MODULE
+ * Registry of the shapes the fragments can take. A formation turns a
+ * fragment count into target positions and rotations; each entry of
+ * CONFIG.stages in main.js picks one by name in its formation field
+ */
+
+import * as THREE from 'three';
+import { sampleShape } from './shape-sampler.js';
+
+// ============================================
+// REGISTRY
+// ============================================
+const formations = new Map();
+
+/**
+ * Add a formation
+ * @param {string} type - Name used in CONFIG.stages[].formation
+ * @param {Function} create - (count, options) => { positions, rotations }, or a
+ *   Promise of it. Fewer positions than fragments leaves the rest out
+ */
+const registerFormation = (type, create) => {
+    formations.set(type, create);
+};
+
+/**
+ * Build a formation from its config entry
+ * @param {string|object} spec - 'sphere' or { type: 'sphere', radius: 3 }
+ * @param {number} count - Fragments to place
+ * @returns {Promise<{ positions: THREE.Vector3[], rotations: THREE.Euler[] }>}
+ */
+const createFormation = async (spec, count) => {
+    const { type, ...options } = typeof spec === 'string' ? { type: spec } : spec;
+    const create = formations.get(type);
+    if (!create) throw new Error(`Unknown formation "${type}"`);
+
+    const { positions, rotations } = await create(count, options);
+    return { positions: positions.slice(0, count), rotations: rotations.slice(0, count) };
+};
+
+// ============================================
+// HELPERS
+// ============================================
+const FORWARD = new THREE.Vector3(0, 0, 1);
+
+const randomRotation = () => new THREE.Euler(
+    Math.random() * Math.PI,
+    Math.random() * Math.PI,
+    Math.random() * Math.PI
+);
+
+/**
+ * Rotation that points a fragment's +Z along a direction (a normal or tangent)
+ */
+const facing = (direction) => new THREE.Euler().setFromQuaternion(
+    new THREE.Quaternion().setFromUnitVectors(FORWARD, direction.clone().normalize())
+);
+
+// ============================================
+// BUILT-IN FORMATIONS
+// ============================================
+
+/**
+ * Solid cube of evenly spaced cells; with fewer fragments than cells every
+ * nth cell is used, so the cube keeps its outline
+ */
+registerFormation('cube', (count, { spacing = 0.375 } = {}) => {
+    const side = Math.ceil(Math.cbrt(count));
+    const cells = side ** 3;
+    const offset = ((side - 1) / 2) * spacing;
+    const positions = [];
+    const rotations = [];
+
+    for (let i = 0; i < count; i++) {
+        const cell = Math.floor((i * cells) / count);
+        positions.push(new THREE.Vector3(
+            (cell % side) * spacing - offset,
+            (Math.floor(cell / side) % side) * spacing - offset,
+            Math.floor(cell / (side * side)) * spacing - offset
+        ));
+        rotations.push(randomRotation());
+    }
+
+    return { positions, rotations };
+});
+
+/**
+ * Ring of fragments at random radii and heights, tumbling freely
+ */
+registerFormation('explosion', (count, { radius = 4, height = 6 } = {}) => {
+    const positions = [];
+    const rotations = [];
+
+    for (let i = 0; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2;
+        const distance = 2 + Math.random() * radius;
+
+        positions.push(new THREE.Vector3(
+            Math.cos(angle) * distance,
+            (Math.random() - 0.5) * height,
+            Math.sin(angle) * distance
+        ));
+        rotations.push(randomRotation());
+    }
+
+    return { positions, rotations };
+});
+
+/**
+ * Fibonacci sphere: even spacing without poles bunching up; fragments face outward
+ */
+registerFormation('sphere', (count, { radius = 2.5 } = {}) => {
+    const positions = [];
+    const rotations = [];
+    const golden = Math.PI * (3 - Math.sqrt(5));
+
+    for (let i = 0; i < count; i++) {
+        const y = 1 - ((i + 0.5) / count) * 2;
+        const ring = Math.sqrt(1 - y * y);
+        const normal = new THREE.Vector3(Math.cos(i * golden) * ring, y, Math.sin(i * golden) * ring);
+
+        positions.push(normal.clone().multiplyScalar(radius));
+        rotations.push(facing(normal));
+    }
+
+    return { positions, rotations };
+});
+
+/**
+ * (p, q) torus knot; fragments wind around the tube in a golden-angle
+ * spiral and face along the knot
+ */
+registerFormation('torusKnot', (count, { radius = 2, tube = 0.5, p = 2, q = 3 } = {}) => {
+    // Same curve as THREE.TorusKnotGeometry
+    const curve = (u) => {
+        const angle = u * p * Math.PI * 2;
+        const r = radius * (2 + Math.cos((q / p) * angle)) * 0.5;
+        return new THREE.Vector3(
+            r * Math.cos(angle),
+            r * Math.sin(angle),
+            radius * Math.sin((q / p) * angle) * 0.5
+        );
+    };
+
+    const golden = Math.PI * (3 - Math.sqrt(5));
+    const positions = [];
+    const rotations = [];
+
+    for (let i = 0; i < count; i++) {
+        // Frame around the curve, built the way TorusKnotGeometry builds it
+        const p1 = curve(i / count);
+        const p2 = curve(i / count + 0.01);
+        const tangent = p2.clone().sub(p1);
+        const normal = p2.clone().add(p1);
+        const binormal = tangent.clone().cross(normal).normalize();
+        normal.copy(binormal).cross(tangent).normalize();
+
+        positions.push(p1
+            .addScaledVector(normal, Math.cos(i * golden) * tube)
+            .addScaledVector(binormal, Math.sin(i * golden) * tube));
+        rotations.push(facing(tangent));
+    }
+
+    return { positions, rotations };
+});
+
+/**
+ * Strands winding around the Y axis, a double helix by default;
+ * fragments face along their strand
+ */
+registerFormation('helix', (count, { radius = 1.5, height = 5, turns = 3, strands = 2 } = {}) => {
+    const perStrand = Math.ceil(count / strands);
+    const strandAt = (strand, along) => {
+        const angle = along * turns * Math.PI * 2 + (strand / strands) * Math.PI * 2;
+        return new THREE.Vector3(Math.cos(angle) * radius, (along - 0.5) * height, Math.sin(angle) * radius);
+    };
+
+    const positions = [];
+    const rotations = [];
+
+    for (let i = 0; i < count; i++) {
+        const strand = i % strands;
+        const along = Math.floor(i / strands) / Math.max(perStrand - 1, 1);
+        const position = strandAt(strand, along);
+
+        positions.push(position);
+        rotations.push(facing(strandAt(strand, along + 0.001).sub(position)));
+    }
+
+    return { positions, rotations };
+});
+
+/**
+ * Text, an SVG path or an image mask, flat and facing the camera
+ * Options: source plus sampleShape's size, depth and edgeShare
+ */
+registerFormation('logo', async (count, { source, ...options }) => {
+    const points = await sampleShape(source, count, options);
+
+    return {
+        positions: points.map(({ x, y, z }) => new THREE.Vector3(x, y, z)),
+        rotations: points.map(() => new THREE.Euler())
+    };
+});
+
+// ============================================
+// MODEL FORMATION
+// ============================================
+
+/**
+ * Load a GLTF/GLB or OBJ file into one geometry in world space
+ */
+const loadModelGeometry = async (url, format) => {
+    const { mergeGeometries } = await import('three/addons/utils/BufferGeometryUtils.js');
+    const type = format || url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+
+    let root;
+    if (type === 'obj') {
+        const { OBJLoader } = await import('three/addons/loaders/OBJLoader.js');
+        root = await new OBJLoader().loadAsync(url);
+    } else if (type === 'gltf' || type === 'glb') {
+        const { GLTFLoader } = await import('three/addons/loaders/GLTFLoader.js');
+        root = (await new GLTFLoader().loadAsync(url)).scene;
+    } else {
+        throw new Error(`Unsupported model format "${type}"`);
+    }
+
+    root.updateMatrixWorld(true);
+
+    // Position only, so meshes with different attributes still merge
+    const geometries = [];
+    root.traverse(child => {
+        if (!child.isMesh) return;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', child.geometry.getAttribute('position').clone());
+        if (child.geometry.index) geometry.setIndex(child.geometry.index.clone());
+        geometries.push((geometry.index ? geometry.toNonIndexed() : geometry).applyMatrix4(child.matrixWorld));
+    });
+
+    if (!geometries.length) throw new Error(`No meshes in ${url}`);
+
+    const geometry = mergeGeometries(geometries);
+    geometry.computeVertexNormals();
+    return geometry;
+};
+
+/**
+ * Points on the surface of a local model, weighted by triangle area;
+ * fragments lie flat on the surface
+ * Options: url (e.g. '/models/shape.glb'), format ('gltf', 'glb' or 'obj',
+ * else taken from the extension), size (longest side in world units)
+ */
+registerFormation('model', async (count, { url, format = null, size = 4 }) => {
+    const { MeshSurfaceSampler } = await import('three/addons/math/MeshSurfaceSampler.js');
+
+    const geometry = await loadModelGeometry(url, format);
+
+    // Centre the model and fit its longest side
+    geometry.computeBoundingBox();
+    const box = geometry.boundingBox;
+    const center = box.getCenter(new THREE.Vector3());
+    const extent = box.getSize(new THREE.Vector3());
+    const scale = size / Math.max(extent.x, extent.y, extent.z, Number.EPSILON);
+
+    const sampler = new MeshSurfaceSampler(new THREE.Mesh(geometry)).build();
+    const positions = [];
+    const rotations = [];
+
+    for (let i = 0; i < count; i++) {
+        const position = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        sampler.sample(position, normal);
+
+        positions.push(position.sub(center).multiplyScalar(scale));
+        rotations.push(facing(normal));
+    }
+
+    geometry.dispose();
+    return { positions, rotations };
+});
+
+// ============================================
+// EXPORT
+// ============================================
+export { registerFormation, createFormation };
@@ -4,81 +4,184 @@
  * Handles rate limiting, caching, and error recovery
  */
 
+import { RepositoryProvider, ApiError, RateLimitError, buildLanguageBreakdown } from './repository-provider.js';
+
 // ============================================
 // CONFIGURATION
 // ============================================
 const GITHUB_CONFIG = {
-    username: 'satset19',
+    username: 'satset19', // Profile owner, always included
+    // Extra users and organizations whose public repositories are listed too
+    // e.g. { type: 'org', login: 'my-team' }, { type: 'user', login: 'teammate' }
+    accounts: [],
     apiBaseUrl: 'https://api.github.com',
     // Using public API - no token required for public repos
     // For higher rate limits, add: token: 'YOUR_GITHUB_TOKEN',
+    // With a token, data is fetched in one GraphQL query (set useGraphQL: false to opt out)
+    useGraphQL: true,
     cacheDuration: 5 * 60 * 1000, // 5 minutes
-    maxRepos: 12,
+    languageCacheDuration: 24 * 60 * 60 * 1000, // 24 hours
+    concurrency: 4, // Parallel /languages requests
+    maxRepos: 12, // Shown at first and added per "load more"
+    perPage: 100, // Repositories per listing request; further pages load on demand
     excludeForks: false,
     excludeArchived: true
 };
 
 // ============================================
-// CACHE MANAGEMENT
+// GRAPHQL QUERY
 // ============================================
-const Cache = {
-    get(key) {
-        const cached = localStorage.getItem(`gh_${key}`);
-        if (!cached) return null;
+const REPOSITORY_FIELDS = `
+    fragment RepositoryFields on Repository {
+        databaseId
+        name
+        nameWithOwner
+        description
+        url
+        homepageUrl
+        primaryLanguage { name }
+        languages(first: 10, orderBy: { field: SIZE, direction: DESC }) {
+            edges { size node { name } }
+        }
+        stargazerCount
+        forkCount
+        watchers { totalCount }
+        issues(states: OPEN) { totalCount }
+        isFork
+        parent { nameWithOwner }
+        isArchived
+        createdAt
+        updatedAt
+        diskUsage
+        licenseInfo { name }
+        repositoryTopics(first: 10) { nodes { topic { name } } }
+        visibility
+    }
+`;
+
+const PORTFOLIO_QUERY = `
+    query Portfolio($login: String!, $first: Int!) {
+        user(login: $login) {
+            login
+            name
+            bio
+            avatarUrl
+            url
+            websiteUrl
+            location
+            company
+            email
+            twitterUsername
+            createdAt
+            followers { totalCount }
+            following { totalCount }
+            publicRepositories: repositories(privacy: PUBLIC, ownerAffiliations: OWNER) { totalCount }
+            pinnedItems(first: 6, types: REPOSITORY) {
+                nodes { ...RepositoryFields }
+            }
+            repositories(
+                first: $first
+                privacy: PUBLIC
+                ownerAffiliations: OWNER
+                orderBy: { field: UPDATED_AT, direction: DESC }
+            ) {
+                nodes { ...RepositoryFields }
+                pageInfo { hasNextPage endCursor }
+            }
+            contributionsCollection {
+                totalCommitContributions
+                totalIssueContributions
+                totalPullRequestContributions
+                totalPullRequestReviewContributions
+                totalRepositoryContributions
+                restrictedContributionsCount
+                contributionCalendar { totalContributions }
+            }
+        }
+    }
+    ${REPOSITORY_FIELDS}
+`;
+
+// Users and organizations both implement RepositoryOwner
+const ACCOUNT_REPOSITORIES_QUERY = `
+    query AccountRepositories($login: String!, $first: Int!, $after: String) {
+        repositoryOwner(login: $login) {
+            login
+            repositories(
+                first: $first
+                after: $after
+                privacy: PUBLIC
+                ownerAffiliations: OWNER
+                orderBy: { field: UPDATED_AT, direction: DESC }
+            ) {
+                nodes { ...RepositoryFields }
+                pageInfo { hasNextPage endCursor }
+            }
+        }
+    }
+    ${REPOSITORY_FIELDS}
+`;
+
+const CONTRIBUTION_CALENDAR_QUERY = `
+    query ContributionCalendar($login: String!, $from: DateTime!, $to: DateTime!) {
+        user(login: $login) {
+            contributionsCollection(from: $from, to: $to) {
+                contributionYears
+                contributionCalendar {
+                    totalContributions
+                    weeks { contributionDays { date contributionCount } }
+                }
+            }
+        }
+    }
+`;
 
-        const { data, timestamp } = JSON.parse(cached);
-        const isExpired = Date.now() - timestamp > GITHUB_CONFIG.cacheDuration;
+// The public events API only reaches back 90 days / 300 events
+const EVENT_PAGES = 3;
 
-        if (isExpired) {
-            localStorage.removeItem(`gh_${key}`);
-            return null;
-        }
+/**
+ * Decode the base64 body of a /contents response as UTF-8
+ */
+const decodeBase64 = (content) => {
+    const binary = atob(content.replace(/\s/g, ''));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
 
-        return data;
-    },
+/**
+ * Strip a file's path from its URL, leaving the repository root at that ref
+ * e.g. https://github.com/owner/repo/blob/main/docs/README.md -> .../blob/main
+ */
+const stripFilePath = (url, path) => {
+    if (!url) return null;
 
-    set(key, data) {
-        localStorage.setItem(`gh_${key}`, JSON.stringify({
-            data,
-            timestamp: Date.now()
-        }));
-    }
+    const suffix = [`/${path}`, `/${path.split('/').map(encodeURIComponent).join('/')}`]
+        .find(candidate => url.endsWith(candidate));
+
+    return suffix ? url.slice(0, -suffix.length) : null;
 };
 
 // ============================================
 // GITHUB API CLASS
 // ============================================
-class GitHubAPI {
+class GitHubAPI extends RepositoryProvider {
     constructor(config) {
-        this.config = config;
+        super(config, 'github', 'GitHub');
         this.headers = {
             'Accept': 'application/vnd.github.v3+json',
             ...(config.token && { 'Authorization': `token ${config.token}` })
         };
+        // GraphQL listing: page number -> { login: endCursor, or null once done }
+        this.graphqlCursors = new Map();
     }
 
     /**
      * Fetch user profile data
      */
     async getUserProfile() {
-        const cacheKey = `profile_${this.config.username}`;
-        const cached = Cache.get(cacheKey);
-
-        if (cached) return cached;
-
         try {
-            const response = await fetch(
-                `${this.config.apiBaseUrl}/users/${this.config.username}`,
-                { headers: this.headers }
+            return await this.cached(`profile_${this.config.username}`, () =>
+                this.request(`/users/${this.config.username}`)
             );
-
-            if (!response.ok) {
-                throw new Error(`GitHub API error: ${response.status}`);
-            }
-
-            const data = await response.json();
-            Cache.set(cacheKey, data);
-            return data;
         } catch (error) {
             console.error('Error fetching user profile:', error);
             throw error;
@@ -86,51 +189,119 @@ class GitHubAPI {
     }
 
     /**
-     * Fetch user repositories with pagination
+     * Fetch the first maxRepos repositories; later ones load on demand
      */
     async getUserRepositories() {
-        const cacheKey = `repos_${this.config.username}`;
-        const cached = Cache.get(cacheKey);
+        try {
+            return await this.cached(`repos_${this.getAccountKey()}`, () =>
+                this.fetchRepositories(0, this.config.maxRepos)
+            );
+        } catch (error) {
+            console.error('Error fetching repositories:', error);
+            throw error;
+        }
+    }
 
-        if (cached) return cached;
+    /**
+     * Profile owner first, then the configured extra accounts, without duplicates
+     */
+    getAccounts() {
+        const accounts = [{ type: 'user', login: this.config.username }, ...(this.config.accounts || [])];
+        const seen = new Set();
+
+        return accounts.filter(({ login }) => {
+            const key = login.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
 
-        try {
-            let allRepos = [];
-            let page = 1;
-            const perPage = 100;
-
-            // Fetch all pages
-            while (true) {
-                const response = await fetch(
-                    `${this.config.apiBaseUrl}/users/${this.config.username}/repos?page=${page}&per_page=${perPage}&sort=updated`,
-                    { headers: this.headers }
-                );
+    getAccountKey() {
+        return this.getAccounts().map(({ login }) => login).join('+');
+    }
 
-                if (!response.ok) {
-                    throw new Error(`GitHub API error: ${response.status}`);
-                }
+    /**
+     * Fetch the same /repos page of every account; languages are only
+     * fetched later, for the repositories that get shown
+     */
+    async fetchListingPage(page) {
+        if (this.useGraphQL) {
+            return this.fetchGraphQLListingPage(page);
+        }
 
-                const repos = await response.json();
+        const accounts = this.getAccounts();
+        const pages = await this.mapConcurrent(accounts, account => this.fetchAccountRepositories(account, page));
 
-                if (repos.length === 0) break;
+        // Most recently updated first across accounts, so the first cards show the latest work
+        let repos = pages.flat()
+            .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
 
-                allRepos = [...allRepos, ...repos];
-                page++;
+        // Forks only collide with repositories from another account
+        if (accounts.length > 1) {
+            repos = await this.resolveForkParents(repos);
+        }
 
-                // Stop if we have enough repos
-                if (allRepos.length >= this.config.maxRepos) {
-                    allRepos = allRepos.slice(0, this.config.maxRepos);
-                    break;
-                }
+        return { repos, hasMore: pages.some(accountRepos => accountRepos.length === this.config.perPage) };
+    }
+
+    /**
+     * Fetch one page of a user's or organization's repositories
+     */
+    async fetchAccountRepositories({ type, login }, page) {
+        const owner = type === 'org' ? 'orgs' : 'users';
+
+        return this.request(
+            `/${owner}/${login}/repos?page=${page}&per_page=${this.config.perPage}&sort=updated`
+        );
+    }
+
+    /**
+     * The /repos listings omit a fork's parent, so look it up per fork
+     */
+    async resolveForkParents(repos) {
+        return this.mapConcurrent(repos, async (repo) => {
+            if (!repo.fork || repo.parent) return repo;
+
+            try {
+                const { parent } = await this.cached(
+                    `repo_${repo.full_name}`,
+                    () => this.request(`/repos/${repo.full_name}`),
+                    this.config.languageCacheDuration
+                );
+                return { ...repo, parent: parent && { full_name: parent.full_name } };
+            } catch (error) {
+                console.warn(`Could not resolve the parent of ${repo.full_name}:`, error);
+                return repo;
             }
+        });
+    }
+
+    /**
+     * Attach each repository's /languages byte map
+     * GraphQL repositories arrive with theirs already
+     */
+    async attachLanguages(repos) {
+        return this.mapConcurrent(repos, async (repo) => (repo.language_sizes ? repo : {
+            ...repo,
+            language_sizes: await this.getRepositoryLanguages(repo)
+        }));
+    }
 
-            // Filter repositories
-            const filteredRepos = this.filterRepositories(allRepos);
-            Cache.set(cacheKey, filteredRepos);
-            return filteredRepos;
+    /**
+     * Fetch the { language: bytes } map of one repository
+     * Failures fall back to the primary language only
+     */
+    async getRepositoryLanguages(repo) {
+        try {
+            return await this.cached(
+                `languages_${repo.full_name}`,
+                () => this.request(`/repos/${repo.full_name}/languages`),
+                this.config.languageCacheDuration
+            );
         } catch (error) {
-            console.error('Error fetching repositories:', error);
-            throw error;
+            console.warn(`Could not load languages for ${repo.full_name}:`, error);
+            return {};
         }
     }
 
@@ -159,21 +330,17 @@ class GitHubAPI {
     }
 
     /**
-     * Get language statistics from repositories
+     * Name and full name used for manifest lookups
      */
-    getLanguageStats(repositories) {
-        const stats = {};
-
-        repositories.forEach(repo => {
-            if (repo.language) {
-                stats[repo.language] = (stats[repo.language] || 0) + 1;
-            }
-        });
+    identify(repo) {
+        return { name: repo.name, fullName: repo.full_name };
+    }
 
-        // Sort by count
-        return Object.entries(stats)
-            .sort(([, a], [, b]) => b - a)
-            .map(([lang, count]) => ({ language: lang, count }));
+    /**
+     * Full name of the repository a fork was made from
+     */
+    getUpstream(repo) {
+        return repo.parent ? repo.parent.full_name : null;
     }
 
     /**
@@ -187,11 +354,7 @@ class GitHubAPI {
         const description = repo.description || `${repo.name} - A ${tech} project`;
 
         // Format last update
-        const lastUpdated = new Date(repo.updated_at).toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
+        const lastUpdated = this.formatDate(repo.updated_at);
 
         // Get license
         const license = repo.license ? repo.license.name : null;
@@ -200,11 +363,12 @@ class GitHubAPI {
             id: repo.id,
             name: repo.name,
             fullName: repo.full_name,
+            owner: repo.full_name.split('/')[0],
             description: description,
             url: repo.html_url,
             homepage: repo.homepage,
             language: tech,
-            languages: [tech], // Could be expanded with API call
+            languages: buildLanguageBreakdown(repo.language_sizes, repo.language),
             stars: repo.stargazers_count,
             forks: repo.forks_count,
             watchers: repo.watchers_count,
@@ -217,67 +381,413 @@ class GitHubAPI {
             license: license,
             size: repo.size,
             topics: repo.topics || [],
-            visibility: repo.visibility
+            visibility: repo.visibility,
+            isPinned: Boolean(repo.pinned),
+            source: this.source,
+            sourceLabel: this.label
         };
     }
 
     /**
-     * Fetch all portfolio data in one call
+     * README and latest releases for the project detail view
+     */
+    async getRepositoryDetails(repo) {
+        const [readme, releases] = await Promise.all([
+            this.getRepositoryReadme(repo.fullName),
+            this.getRepositoryReleases(repo.fullName)
+        ]);
+
+        return { readme, releases };
+    }
+
+    /**
+     * Fetch the README markdown, or null when the repository has none
+     * rawUrl and htmlUrl are the bases relative image and page links resolve
+     * against; repoRoot holds the same bases for root-relative ("/docs/x.png") ones
+     */
+    async getRepositoryReadme(fullName) {
+        try {
+            return await this.cached(`readme_${fullName}`, async () => {
+                const file = await this.request(`/repos/${fullName}/readme`);
+
+                return {
+                    markdown: decodeBase64(file.content),
+                    path: file.path,
+                    rawUrl: file.download_url,
+                    htmlUrl: file.html_url,
+                    repoRoot: {
+                        raw: stripFilePath(file.download_url, file.path),
+                        html: stripFilePath(file.html_url, file.path)
+                    }
+                };
+            });
+        } catch (error) {
+            if (error instanceof ApiError && error.status === 404) return null;
+
+            console.error(`Error fetching README for ${fullName}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch the most recent releases
+     */
+    async getRepositoryReleases(fullName, limit = 5) {
+        try {
+            return await this.cached(`releases_${fullName}`, async () => {
+                const releases = await this.request(`/repos/${fullName}/releases?per_page=${limit}`);
+
+                return releases.map(release => ({
+                    name: release.name || release.tag_name,
+                    tag: release.tag_name,
+                    url: release.html_url,
+                    publishedAt: release.published_at,
+                    isPrerelease: release.prerelease
+                }));
+            });
+        } catch (error) {
+            // Releases are a nice-to-have; the README still renders without them
+            console.warn(`Could not load releases for ${fullName}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * GraphQL needs a token, so REST stays the anonymous default
+     */
+    get useGraphQL() {
+        return Boolean(this.config.token) && this.config.useGraphQL !== false;
+    }
+
+    /**
+     * Fetch all portfolio data, from GraphQL when possible
+     * The profile and the first listing page share the portfolio query
      */
     async fetchPortfolioData() {
+        if (!this.useGraphQL) {
+            return super.fetchPortfolioData();
+        }
+
+        return this.withLastKnownData(async () => {
+            try {
+                const [user, { repos, hasMore }] = await Promise.all([
+                    this.cached(`graphql_${this.config.username}`, () => this.queryPortfolio()),
+                    this.getUserRepositories()
+                ]);
+
+                const portfolio = {
+                    ...this.buildPortfolio(this.mapGraphQLProfile(user), repos),
+                    cursor: this.nextCursor(0, repos, hasMore)
+                };
+                portfolio.stats.contributions = this.mapContributions(user.contributionsCollection);
+
+                return portfolio;
+            } catch (error) {
+                console.error('Error fetching GitHub GraphQL data:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * One GraphQL page of every account, mapped onto the REST payload shape
+     * Page 1 is the portfolio query, with the pinned repositories merged in;
+     * later pages continue from each account's endCursor, so "load more"
+     * walks the same ordering as the first page
+     */
+    async fetchGraphQLListingPage(page) {
+        const after = page === 1 ? {} : this.graphqlCursors.get(page) || {};
+        const accounts = this.getAccounts().filter(({ login }) => page === 1 || after[login]);
+
+        const owners = await this.mapConcurrent(accounts, ({ login }) =>
+            page === 1 && login === this.config.username
+                ? this.cached(`graphql_${login}`, () => this.queryPortfolio())
+                : this.cached(`graphql_repos_${login}_${after[login] || 'first'}`, () =>
+                    this.queryAccountRepositories(login, after[login] || null)
+                )
+        );
+
+        const next = {};
+        owners.forEach((owner, index) => {
+            const { hasNextPage, endCursor } = owner.repositories.pageInfo;
+            next[accounts[index].login] = hasNextPage ? endCursor : null;
+        });
+        this.graphqlCursors.set(page + 1, next);
+
+        const pinned = page === 1 ? owners[0].pinnedItems.nodes : [];
+        const pinnedIds = new Set(pinned.map(node => node.databaseId));
+
+        // Pinned repositories may fall outside the first page, so merge both lists;
+        // ones that show up again on a later page are dropped by readListing()
+        const nodes = new Map();
+        [...pinned, ...owners.flatMap(owner => owner.repositories.nodes)].forEach(node => {
+            nodes.set(node.databaseId, node);
+        });
+
+        const repos = [...nodes.values()]
+            .map(node => ({
+                ...this.mapGraphQLRepository(node),
+                pinned: pinnedIds.has(node.databaseId)
+            }))
+            .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+
+        return { repos, hasMore: Object.values(next).some(Boolean) };
+    }
+
+    /**
+     * Run a query against the GraphQL v4 endpoint and unwrap its data
+     */
+    async graphql(query, variables) {
+        const { data, errors } = await this.request('/graphql', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, variables })
+        });
+
+        if (errors && errors.some(e => e.type === 'RATE_LIMITED')) {
+            throw new RateLimitError(
+                'GitHub GraphQL rate limit exceeded',
+                200,
+                this.rateLimit && this.rateLimit.resetAt
+            );
+        }
+
+        if (errors && errors.length) {
+            throw new ApiError(`GitHub GraphQL error: ${errors.map(e => e.message).join(', ')}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Fetch the profile owner's portfolio in one query
+     */
+    async queryPortfolio() {
+        const data = await this.graphql(PORTFOLIO_QUERY, {
+            login: this.config.username,
+            // Fetch a full page so hidden repos can be replaced
+            first: 100
+        });
+
+        if (!data || !data.user) {
+            throw new ApiError(`GitHub GraphQL error: user ${this.config.username} not found`, 404);
+        }
+
+        return data.user;
+    }
+
+    /**
+     * Fetch a page of a user's or organization's public repositories
+     * @param {string|null} [after] - endCursor of the previous page
+     */
+    async queryAccountRepositories(login, after = null) {
+        const data = await this.graphql(ACCOUNT_REPOSITORIES_QUERY, { login, first: 100, after });
+
+        if (!data || !data.repositoryOwner) {
+            throw new ApiError(`GitHub GraphQL error: account ${login} not found`, 404);
+        }
+
+        return data.repositoryOwner;
+    }
+
+    /**
+     * Map a GraphQL repository node onto the REST payload shape
+     */
+    mapGraphQLRepository(node) {
+        const languageSizes = {};
+        node.languages.edges.forEach(edge => {
+            languageSizes[edge.node.name] = edge.size;
+        });
+
+        return {
+            id: node.databaseId,
+            name: node.name,
+            full_name: node.nameWithOwner,
+            description: node.description,
+            html_url: node.url,
+            homepage: node.homepageUrl,
+            language: node.primaryLanguage ? node.primaryLanguage.name : null,
+            language_sizes: languageSizes,
+            stargazers_count: node.stargazerCount,
+            forks_count: node.forkCount,
+            watchers_count: node.watchers.totalCount,
+            open_issues_count: node.issues.totalCount,
+            fork: node.isFork,
+            parent: node.parent && { full_name: node.parent.nameWithOwner },
+            archived: node.isArchived,
+            created_at: node.createdAt,
+            updated_at: node.updatedAt,
+            license: node.licenseInfo,
+            size: node.diskUsage,
+            topics: node.repositoryTopics.nodes.map(({ topic }) => topic.name),
+            visibility: node.visibility.toLowerCase()
+        };
+    }
+
+    /**
+     * Map a GraphQL user onto the REST payload shape
+     */
+    mapGraphQLProfile(user) {
+        return {
+            login: user.login,
+            name: user.name,
+            bio: user.bio,
+            avatar_url: user.avatarUrl,
+            html_url: user.url,
+            blog: user.websiteUrl,
+            location: user.location,
+            company: user.company,
+            email: user.email,
+            twitter_username: user.twitterUsername,
+            public_repos: user.publicRepositories.totalCount,
+            followers: user.followers.totalCount,
+            following: user.following.totalCount,
+            created_at: user.createdAt
+        };
+    }
+
+    /**
+     * Flatten contributionsCollection totals
+     */
+    mapContributions(collection) {
+        return {
+            total: collection.contributionCalendar.totalContributions,
+            commits: collection.totalCommitContributions,
+            issues: collection.totalIssueContributions,
+            pullRequests: collection.totalPullRequestContributions,
+            reviews: collection.totalPullRequestReviewContributions,
+            repositories: collection.totalRepositoryContributions,
+            restricted: collection.restrictedContributionsCount
+        };
+    }
+
+    /**
+     * Daily contribution counts for a calendar year, or the last 12 months
+     * when no year is given. Uses contributionsCollection with a token and
+     * falls back to counting recent public events without one
+     * @returns {Promise<{ from: string, to: string, year: number|null, years: number[],
+     *   days: { date: string, count: number }[], total: number, source: string }>}
+     */
+    async getContributionCalendar(year = null) {
+        const to = year ? new Date(Date.UTC(year, 11, 31, 23, 59, 59)) : new Date();
+        const from = year
+            ? new Date(Date.UTC(year, 0, 1))
+            : new Date(Date.UTC(to.getUTCFullYear() - 1, to.getUTCMonth(), to.getUTCDate() + 1));
+
+        const range = {
+            from: from.toISOString().slice(0, 10),
+            to: (to > new Date() ? new Date() : to).toISOString().slice(0, 10),
+            year
+        };
+
         try {
-            const [profile, rawRepos] = await Promise.all([
-                this.getUserProfile(),
-                this.getUserRepositories()
-            ]);
-
-            // Enrich repository data
-            const repositories = rawRepos.map(repo => this.enrichRepositoryData(repo));
-
-            // Get language statistics
-            const languageStats = this.getLanguageStats(rawRepos);
-
-            // Calculate statistics
-            const stats = {
-                totalRepos: profile.public_repos,
-                totalStars: repositories.reduce((sum, r) => sum + r.stars, 0),
-                totalForks: repositories.reduce((sum, r) => sum + r.forks, 0),
-                followers: profile.followers,
-                following: profile.following,
-                accountAge: this.calculateAccountAge(profile.created_at)
-            };
+            const calendar = this.useGraphQL
+                ? await this.cached(`calendar_${this.config.username}_${year || 'recent'}`, () =>
+                    this.queryContributionCalendar(from, to)
+                )
+                : await this.cached(`events_${this.config.username}`, () =>
+                    this.fetchEventCalendar()
+                );
+
+            const days = calendar.days.filter(day => day.date >= range.from && day.date <= range.to);
 
             return {
-                profile: {
-                    login: profile.login,
-                    name: profile.name || profile.login,
-                    bio: profile.bio,
-                    avatar: profile.avatar_url,
-                    url: profile.html_url,
-                    blog: profile.blog,
-                    location: profile.location,
-                    company: profile.company,
-                    email: profile.email,
-                    twitter: profile.twitter_username
-                },
-                repositories,
-                languageStats,
-                stats
+                ...range,
+                years: calendar.years,
+                days,
+                total: days.reduce((sum, day) => sum + day.count, 0),
+                source: calendar.source
             };
         } catch (error) {
-            console.error('Error fetching portfolio data:', error);
+            console.error('Error fetching contribution calendar:', error);
             throw error;
         }
     }
 
     /**
-     * Calculate account age in years
+     * Contribution calendar from the GraphQL contributionsCollection
+     */
+    async queryContributionCalendar(from, to) {
+        const data = await this.graphql(CONTRIBUTION_CALENDAR_QUERY, {
+            login: this.config.username,
+            from: from.toISOString(),
+            to: to.toISOString()
+        });
+
+        if (!data || !data.user) {
+            throw new ApiError(`GitHub GraphQL error: user ${this.config.username} not found`, 404);
+        }
+
+        const collection = data.user.contributionsCollection;
+
+        return {
+            years: collection.contributionYears,
+            days: collection.contributionCalendar.weeks.flatMap(week =>
+                week.contributionDays.map(({ date, contributionCount }) => ({
+                    date,
+                    count: contributionCount
+                }))
+            ),
+            source: 'graphql'
+        };
+    }
+
+    /**
+     * Approximate a calendar from public events; a push counts one
+     * contribution per commit, any other event counts one
      */
-    calculateAccountAge(createdAt) {
-        const created = new Date(createdAt);
-        const now = new Date();
-        const years = Math.floor((now - created) / (365.25 * 24 * 60 * 60 * 1000));
-        return years;
+    async fetchEventCalendar() {
+        const counts = new Map();
+
+        for (let page = 1; page <= EVENT_PAGES; page++) {
+            const events = await this.request(
+                `/users/${this.config.username}/events/public?page=${page}&per_page=100`
+            );
+
+            events.forEach(event => {
+                const date = event.created_at.slice(0, 10);
+                const commits = event.type === 'PushEvent' && event.payload
+                    ? event.payload.distinct_size ?? event.payload.size
+                    : null;
+
+                counts.set(date, (counts.get(date) || 0) + (commits || 1));
+            });
+
+            if (events.length < 100) break;
+        }
+
+        const days = [...counts.entries()]
+            .map(([date, count]) => ({ date, count }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        return {
+            years: [...new Set(days.map(day => Number(day.date.slice(0, 4))))].sort((a, b) => b - a),
+            days,
+            source: 'events'
+        };
+    }
+
+    /**
+     * Map the GitHub user payload onto the normalized profile shape
+     */
+    normalizeProfile(profile) {
+        return {
+            login: profile.login,
+            name: profile.name || profile.login,
+            bio: profile.bio,
+            avatar: profile.avatar_url,
+            url: profile.html_url,
+            blog: profile.blog,
+            location: profile.location,
+            company: profile.company,
+            email: profile.email,
+            twitter: profile.twitter_username,
+            publicRepos: profile.public_repos,
+            followers: profile.followers,
+            following: profile.following,
+            createdAt: profile.created_at,
+            source: this.source
+        };
     }
 }
 
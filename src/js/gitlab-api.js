@@ -0,0 +1,356 @@
+/**
+ * GITLAB API INTEGRATION MODULE
+ * Fetches projects and profile data from the GitLab REST v4 API
+ * and maps them onto the same shape as the GitHub adapter
+ */
+
+import { RepositoryProvider, ApiError } from './repository-provider.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const GITLAB_CONFIG = {
+    enabled: true,
+    username: 'satset19',
+    apiBaseUrl: 'https://gitlab.com/api/v4',
+    // Public projects need no token
+    // For private data or higher limits, add: token: 'YOUR_GITLAB_TOKEN',
+    cacheDuration: 5 * 60 * 1000, // 5 minutes
+    languageCacheDuration: 24 * 60 * 60 * 1000, // 24 hours
+    concurrency: 4, // Parallel /languages requests
+    maxRepos: 12, // Shown at first and added per "load more"
+    perPage: 100, // Projects per listing request; further pages load on demand
+    excludeForks: false,
+    excludeArchived: true
+};
+
+// ============================================
+// README HELPERS
+// ============================================
+
+/**
+ * Path of the README that a project's readme_url points at, e.g.
+ * https://gitlab.com/group/proj/-/blob/main/docs/README.rst -> docs/README.rst
+ */
+const parseReadmePath = (project) => {
+    if (!project.readme_url || !project.default_branch) return null;
+
+    const prefix = `${project.web_url}/-/blob/${project.default_branch}/`;
+    if (!project.readme_url.startsWith(prefix)) return null;
+
+    return decodeURIComponent(project.readme_url.slice(prefix.length));
+};
+
+const isReadme = (entry) => entry.type === 'blob' && /^readme(\.|$)/i.test(entry.name);
+
+// ============================================
+// GITLAB API CLASS
+// ============================================
+class GitLabAPI extends RepositoryProvider {
+    constructor(config) {
+        super(config, 'gitlab', 'GitLab');
+        this.headers = {
+            'Accept': 'application/json',
+            ...(config.token && { 'PRIVATE-TOKEN': config.token })
+        };
+    }
+
+    /**
+     * Fetch user profile data
+     * /users?username= only returns the basic user, so the public
+     * profile is loaded by id afterwards, together with the project count
+     */
+    async getUserProfile() {
+        try {
+            return await this.cached(`profile_${this.config.username}`, async () => {
+                const [user] = await this.request(
+                    `/users?username=${encodeURIComponent(this.config.username)}`
+                );
+
+                if (!user) {
+                    throw new ApiError(`GitLab API error: user ${this.config.username} not found`, 404);
+                }
+
+                const [profile, projectCount] = await Promise.all([
+                    this.request(`/users/${user.id}`),
+                    this.getProjectCount()
+                ]);
+
+                return { ...profile, project_count: projectCount };
+            });
+        } catch (error) {
+            console.error('Error fetching GitLab profile:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Number of projects, from the X-Total header of a one-project listing
+     * GitLab leaves the header out above 10,000 projects, which gives null
+     */
+    async getProjectCount() {
+        const { headers } = await this.request(
+            `/users/${encodeURIComponent(this.config.username)}/projects?per_page=1&simple=true`,
+            { withHeaders: ['X-Total'] }
+        );
+
+        return headers['X-Total'] === null ? null : Number(headers['X-Total']);
+    }
+
+    /**
+     * Fetch the first maxRepos projects; later ones load on demand
+     */
+    async getUserRepositories() {
+        try {
+            return await this.cached(`repos_${this.config.username}`, () =>
+                this.fetchRepositories(0, this.config.maxRepos)
+            );
+        } catch (error) {
+            console.error('Error fetching GitLab projects:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch one page of the /projects endpoint
+     */
+    async fetchListingPage(page) {
+        const projects = await this.request(
+            `/users/${encodeURIComponent(this.config.username)}/projects?page=${page}&per_page=${this.config.perPage}&order_by=last_activity_at&license=true&statistics=true`
+        );
+
+        return { repos: projects, hasMore: projects.length === this.config.perPage };
+    }
+
+    /**
+     * Attach each project's language breakdown
+     * GitLab does not include a primary language in the project list
+     */
+    async attachLanguages(projects) {
+        return this.mapConcurrent(projects, async (project) => ({
+            ...project,
+            languages: await this.cached(
+                `languages_${project.id}`,
+                () => this.request(`/projects/${project.id}/languages`),
+                this.config.languageCacheDuration
+            ).catch(() => ({}))
+        }));
+    }
+
+    /**
+     * Filter projects based on configuration
+     */
+    filterRepositories(projects) {
+        return projects.filter(project => {
+            if (this.config.excludeArchived && project.archived) {
+                return false;
+            }
+
+            if (this.config.excludeForks && project.forked_from_project) {
+                return false;
+            }
+
+            // Exclude empty repositories
+            if (project.empty_repo) {
+                return false;
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Name and full name used for manifest lookups
+     */
+    identify(project) {
+        return { name: project.path, fullName: project.path_with_namespace };
+    }
+
+    /**
+     * Full path of the project a fork was made from
+     */
+    getUpstream(project) {
+        return project.forked_from_project ? project.forked_from_project.path_with_namespace : null;
+    }
+
+    /**
+     * Pick the language with the highest share from GitLab's percentage map
+     */
+    getPrimaryLanguage(project) {
+        const [primary] = Object.entries(project.languages || {})
+            .sort(([, a], [, b]) => b - a);
+
+        return primary ? primary[0] : null;
+    }
+
+    /**
+     * GitLab only reports percentages; they are turned into bytes using the
+     * repository size, which the API exposes to authenticated requests only.
+     * Without it the shares still drive the card bar but carry no weight
+     * in the overall distribution
+     */
+    getLanguageBreakdown(project) {
+        const repositorySize = project.statistics ? project.statistics.repository_size : 0;
+
+        return Object.entries(project.languages || {})
+            .filter(([, percent]) => percent > 0)
+            .sort(([, a], [, b]) => b - a)
+            .map(([name, percent]) => ({
+                name,
+                bytes: Math.round((percent / 100) * repositorySize),
+                percent
+            }));
+    }
+
+    /**
+     * Map a GitLab project onto the normalized repository shape
+     */
+    enrichRepositoryData(project) {
+        const tech = this.getPrimaryLanguage(project) || 'Other';
+        const description = project.description || `${project.name} - A ${tech} project`;
+
+        return {
+            id: project.id,
+            name: project.name,
+            fullName: project.path_with_namespace,
+            owner: project.namespace ? project.namespace.full_path : project.path_with_namespace.split('/')[0],
+            description: description,
+            url: project.web_url,
+            homepage: null,
+            language: tech,
+            languages: this.getLanguageBreakdown(project),
+            stars: project.star_count || 0,
+            forks: project.forks_count || 0,
+            watchers: project.star_count || 0,
+            issues: project.open_issues_count || 0,
+            isFork: Boolean(project.forked_from_project),
+            isArchived: project.archived,
+            createdAt: project.created_at,
+            updatedAt: project.last_activity_at,
+            lastUpdated: this.formatDate(project.last_activity_at),
+            license: project.license ? project.license.name : null,
+            size: project.statistics ? Math.round(project.statistics.repository_size / 1024) : null,
+            topics: project.topics || project.tag_list || [],
+            visibility: project.visibility,
+            defaultBranch: project.default_branch || null,
+            readmePath: parseReadmePath(project),
+            source: this.source,
+            sourceLabel: this.label
+        };
+    }
+
+    /**
+     * README and latest releases for the project detail view
+     */
+    async getRepositoryDetails(repo) {
+        const [readme, releases] = await Promise.all([
+            this.getRepositoryReadme(repo),
+            this.getRepositoryReleases(repo)
+        ]);
+
+        return { readme, releases };
+    }
+
+    /**
+     * Fetch the project's README from the default branch, or null when it has none
+     * The file comes from readme_url; projects listed without it (or cached
+     * before it was stored) look the README up in the repository tree
+     */
+    async getRepositoryReadme(repo) {
+        const ref = repo.defaultBranch || 'HEAD';
+
+        try {
+            return await this.cached(`readme_${repo.id}`, async () => {
+                const path = repo.readmePath || await this.findReadmePath(repo, ref);
+                if (!path) return null;
+
+                const fileUrl = encodeURI(path);
+
+                return {
+                    markdown: await this.request(
+                        `/projects/${repo.id}/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(ref)}`,
+                        { responseType: 'text' }
+                    ),
+                    path,
+                    rawUrl: `${repo.url}/-/raw/${ref}/${fileUrl}`,
+                    htmlUrl: `${repo.url}/-/blob/${ref}/${fileUrl}`,
+                    // Root-relative links stay inside the project, whatever its group depth
+                    repoRoot: {
+                        raw: `${repo.url}/-/raw/${ref}`,
+                        html: `${repo.url}/-/blob/${ref}`
+                    }
+                };
+            });
+        } catch (error) {
+            if (error instanceof ApiError && error.status === 404) return null;
+
+            console.error(`Error fetching README for ${repo.fullName}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a README at the root of the repository tree, preferring markdown
+     */
+    async findReadmePath(repo, ref) {
+        const tree = await this.request(
+            `/projects/${repo.id}/repository/tree?ref=${encodeURIComponent(ref)}&per_page=100`
+        );
+
+        const readmes = tree.filter(isReadme);
+        const readme = readmes.find(entry => /\.(md|markdown)$/i.test(entry.name)) || readmes[0];
+
+        return readme ? readme.path : null;
+    }
+
+    /**
+     * Fetch the most recent releases
+     */
+    async getRepositoryReleases(repo, limit = 5) {
+        try {
+            return await this.cached(`releases_${repo.id}`, async () => {
+                const releases = await this.request(`/projects/${repo.id}/releases?per_page=${limit}`);
+
+                return releases.map(release => ({
+                    name: release.name || release.tag_name,
+                    tag: release.tag_name,
+                    url: release._links ? release._links.self : `${repo.url}/-/releases/${encodeURIComponent(release.tag_name)}`,
+                    publishedAt: release.released_at,
+                    isPrerelease: Boolean(release.upcoming_release)
+                }));
+            });
+        } catch (error) {
+            // Releases are a nice-to-have; the README still renders without them
+            console.warn(`Could not load releases for ${repo.fullName}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Map the GitLab user payload onto the normalized profile shape
+     */
+    normalizeProfile(user) {
+        return {
+            login: user.username,
+            name: user.name || user.username,
+            bio: user.bio || null,
+            avatar: user.avatar_url,
+            url: user.web_url,
+            blog: user.website_url || null,
+            location: user.location || null,
+            company: user.organization || null,
+            email: user.public_email || null,
+            twitter: user.twitter || null,
+            publicRepos: user.project_count ?? null,
+            followers: user.followers || 0,
+            following: user.following || 0,
+            createdAt: user.created_at,
+            source: this.source
+        };
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export { GitLabAPI, GITLAB_CONFIG };
@@ -0,0 +1,109 @@
+/**
+ * HTML TEMPLATE MODULE
+ * Tagged templates that escape every interpolated value by default,
+ * plus URL checks so API data can never inject markup or script links
+ */
+
+// ============================================
+// SAFE MARKUP
+// ============================================
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * Escape text for element content and quoted attribute values
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"'`]/g, char => ESCAPES[char]);
+
+/**
+ * Nested templates pass through, arrays are joined, null/undefined/false
+ * render nothing and everything else is escaped
+ */
+const renderValue = (value) => {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHTML) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+};
+
+/**
+ * html`<p>${text}</p>` - interpolations are escaped unless they are html`` themselves
+ */
+const html = (strings, ...values) => new SafeHTML(
+    strings.reduce((markup, string, index) =>
+        markup + string + (index < values.length ? renderValue(values[index]) : ''), '')
+);
+
+/**
+ * Mark trusted, static markup (icons, fixed snippets) as safe
+ * Never pass API data here
+ */
+const trustedHTML = (markup) => new SafeHTML(markup);
+
+// ============================================
+// URLS
+// ============================================
+const SAFE_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * The URL when it is http(s) (relative URLs resolve against the page), else null
+ * Blocks javascript:, data:, vbscript: and anything unparsable
+ */
+const safeUrl = (url) => {
+    if (typeof url !== 'string' || !url.trim()) return null;
+
+    try {
+        const base = typeof location !== 'undefined' ? location.href : 'http://localhost/';
+        const { protocol } = new URL(url.trim(), base);
+        return SAFE_PROTOCOLS.includes(protocol) ? url.trim() : null;
+    } catch {
+        return null;
+    }
+};
+
+// ============================================
+// DOM
+// ============================================
+
+/**
+ * Replace an element's content; only html`` results are accepted
+ */
+const setHTML = (element, template) => {
+    if (!(template instanceof SafeHTML)) {
+        throw new TypeError('setHTML() expects an html`` template');
+    }
+
+    element.innerHTML = template.markup;
+};
+
+/**
+ * Append to an element's content; only html`` results are accepted
+ */
+const appendHTML = (element, template) => {
+    if (!(template instanceof SafeHTML)) {
+        throw new TypeError('appendHTML() expects an html`` template');
+    }
+
+    element.insertAdjacentHTML('beforeend', template.markup);
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export { html, trustedHTML, escapeHtml, safeUrl, setHTML, appendHTML, SafeHTML };
@@ -0,0 +1,54 @@
+/**
+ * LANGUAGES MODULE
+ * Language colors and the language breakdown bar, shared by the project
+ * cards and the project detail overlay
+ */
+
+import { html } from './html.js';
+
+// ============================================
+// LANGUAGE COLORS
+// ============================================
+const LANGUAGE_COLORS = {
+    'TypeScript': '#3178C6',
+    'JavaScript': '#F7DF1E',
+    'Vue': '#4FC08D',
+    'HTML': '#E34F26',
+    'CSS': '#1572B6',
+    'SCSS': '#C6538C',
+    'Python': '#3776AB',
+    'Java': '#007396',
+    'Go': '#00ADD8',
+    'Rust': '#DEA584',
+    'PHP': '#777BB4',
+    'Shell': '#89E051',
+    'GLSL': '#5686A5',
+    'Other': '#8B949E'
+};
+
+const getLanguageColor = (language) => LANGUAGE_COLORS[language] || LANGUAGE_COLORS['Other'];
+
+// ============================================
+// LANGUAGE BAR TEMPLATE
+// ============================================
+const createLanguageBar = (languages) => {
+    if (!languages || !languages.length) return html``;
+
+    const label = languages
+        .map(lang => `${lang.name} ${lang.percent.toFixed(1)}%`)
+        .join(', ');
+
+    // Colors come from LANGUAGE_COLORS, never from the API
+    const segments = languages.map(lang => html`
+        <span class="project__language-segment"
+              style="--segment-color: ${getLanguageColor(lang.name)}; width: ${Number(lang.percent) || 0}%"
+              title="${lang.name} ${lang.percent.toFixed(1)}%"></span>
+    `);
+
+    return html`<div class="project__languages" role="img" aria-label="${label}">${segments}</div>`;
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export { LANGUAGE_COLORS, getLanguageColor, createLanguageBar };
@@ -5,10 +5,13 @@
  * Features:
  * - Three.js WebGL 3D Scene
  * - Fragmented Data Cube with InstancedMesh
- * - GSAP ScrollTrigger 3-Stage Animation
+ * - GSAP ScrollTrigger Stage Choreography from Config
  * - Custom Shaders (Holographic, Glow)
  * - Post-Processing (Bloom, Chromatic Aberration)
  * - Lenis Smooth Scroll
+ * - Hash Routing for Sections, Projects and Filters
+ * - Grid, List, Timeline and 3D Carousel Project Views
+ * - Fragment Clusters per Repository with Hover Tooltips
  * - Performance Optimization (LOD, Culling)
  */
 
@@ -22,7 +25,14 @@ import gsap from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
 import Lenis from '@studio-freight/lenis';
 import Stats from 'stats.js';
-import { loadGitHubProjects } from './ui-renderer.js';
+import { loadGitHubProjects, initProjectRoutes, setProjectCarousel, setProjectFragments, openProject, getPortfolioAPI } from './ui-renderer.js';
+import { ProjectCarousel } from './project-carousel.js';
+import { ProjectFragments } from './project-fragments.js';
+import { createFormation } from './formations.js';
+import { assignTargets } from './shape-sampler.js';
+import { initOfflineBanner } from './connectivity.js';
+import { Router } from './router.js';
+import { initContributionCalendar } from './contribution-calendar.js';
 
 // GSAP Plugin Registration
 gsap.registerPlugin(ScrollTrigger);
@@ -54,12 +64,69 @@ const CONFIG = {
 
     // Fragment System
     fragments: {
-        count: 400, // Reduced from 800 for better performance
+        count: 800, // Animated on the GPU, so the count costs no CPU per frame
         baseSize: 0.15,
-        explosionRadius: 4,
         fragmentGeometries: ['tetrahedron', 'box', 'octahedron']
     },
 
+    // Scroll stages in page order. Each one maps a section to a formation
+    // (a name from src/js/formations.js or { type, ...options }), a camera
+    // position, a fragment group rotation and a bloom strength; left-out
+    // values carry over from the stage before. The transition into a stage
+    // plays while its section scrolls into view, with the stage's GSAP ease.
+    // In the stage marked repositories, fragment clusters stand for projects.
+    // Formations: cube, explosion, sphere, torusKnot, helix, logo, and model
+    // for a local GLTF/OBJ file, e.g. { type: 'model', url: '/models/shape.glb', size: 4 }
+    stages: [
+        {
+            section: '#hero',
+            formation: { type: 'cube', spacing: 0.375 },
+            camera: { x: 0, y: 0, z: 8 },
+            rotation: { x: 0, y: 0, z: 0 },
+            bloom: 1.5
+        },
+        {
+            section: '#projects',
+            formation: { type: 'explosion', radius: 4, height: 6 },
+            camera: { x: 3, y: 2, z: 12 },
+            rotation: { y: Math.PI, z: Math.PI * 0.5 },
+            ease: 'expo.out',
+            repositories: true
+        },
+        {
+            section: '#game',
+            formation: { type: 'torusKnot', radius: 1.6, tube: 0.45 },
+            camera: { x: -2, y: 1, z: 10 },
+            rotation: { x: Math.PI * 0.25, y: Math.PI * 1.5, z: Math.PI * 0.25 },
+            bloom: 1.8,
+            ease: 'power2.inOut'
+        },
+        {
+            section: '#skills',
+            formation: { type: 'helix', radius: 1.5, height: 5, turns: 3 },
+            camera: { x: 2, y: -1, z: 9 },
+            rotation: { x: 0, y: Math.PI * 1.75, z: 0 },
+            bloom: 2,
+            ease: 'sine.inOut'
+        },
+        {
+            section: '#contact',
+            formation: {
+                type: 'logo',
+                // Text, an SVG path ({ type: 'svg', path: 'M12 2 2 22h20z', viewBox: '0 0 24 24' })
+                // or an image's opaque pixels ({ type: 'image', src: '/logo.png' })
+                source: { type: 'text', text: 'SL', font: '800 220px Inter, sans-serif' },
+                size: 5, // World width or height, whichever is longer
+                depth: 0.4,
+                edgeShare: 0.3 // Share of fragments tracing the outline
+            },
+            camera: { x: 0, y: 0, z: 8 },
+            rotation: { y: Math.PI * 2, z: 0 },
+            bloom: 2.5,
+            ease: 'power3.inOut'
+        }
+    ],
+
     // Performance
     performance: {
         targetFPS: 60,
@@ -84,7 +151,7 @@ const state = {
     scrollProgress: 0,
     mouse: new THREE.Vector2(0, 0),
     hover: 0,
-    currentStage: 0, // 0: Hero, 1: Projects, 2: Contact
+    currentStage: 0, // Index of the nearest scroll stage
     time: 0
 };
 
@@ -264,17 +331,30 @@ class SceneManager {
 // FRAGMENT SYSTEM (InstancedMesh)
 // ============================================
 class FragmentSystem {
-    constructor(sceneManager) {
+    /**
+     * @param {object} sceneManager
+     * @param {object[]} stages - Scroll stages whose sections are on the page
+     */
+    constructor(sceneManager, stages) {
         this.sceneManager = sceneManager;
+        this.stages = stages;
         this.fragments = [];
-        this.originalPositions = [];
-        this.targetPositions = [];
-        this.logoPositions = [];
+        // Per stage and fragment: { position, rotation }, or null where the
+        // stage's formation has no place for the fragment
+        this.stageTargets = stages.map(() => []);
+        // Ease of the transition into each stage
+        this.eases = stages.map(stage => gsap.parseEase(stage.ease || 'none'));
+        // Stage whose transition to the next is in the instance attributes
+        this.transition = -1;
+        // Scroll position in stages: 1.5 is halfway from the second to the third
+        this.position = 0;
+        // Stage the repository tints belong to, -1 without tints
+        this.tintStage = -1;
 
         this.createGeometries();
         this.createMaterials();
         this.createInstancedMeshes();
-        this.calculatePositions();
+        this.ready = this.createFormations();
     }
 
     createGeometries() {
@@ -299,7 +379,14 @@ class FragmentSystem {
                 uColor1: { value: CONFIG.colors.electricBlue },
                 uColor2: { value: CONFIG.colors.vaporwavePink },
                 uOpacity: { value: 0.8 },
-                uFresnelPower: { value: 2.0 }
+                uFresnelPower: { value: 2.0 },
+                // Raw and eased progress through the transition in view
+                uScrollProgress: { value: 0 },
+                uEasedProgress: { value: 0 },
+                uFloatAmplitude: { value: CONFIG.animation.floatAmplitude },
+                uFloatFrequency: { value: CONFIG.animation.floatFrequency },
+                // Repository tints, full strength in their stage
+                uTint: { value: 0 }
             },
             vertexShader: document.getElementById('vertex-shader')?.textContent || this.getDefaultVertexShader(),
             fragmentShader: document.getElementById('fragment-shader')?.textContent || this.getDefaultFragmentShader(),
@@ -366,49 +453,37 @@ class FragmentSystem {
         this.instancedMeshes = [];
 
         Object.entries(this.geometries).forEach(([key, geometry], index) => {
+            const instanceAttribute = (size) =>
+                new THREE.InstancedBufferAttribute(new Float32Array(countPerGeometry * size), size);
+
+            // The vertex shader places every instance from these: the targets
+            // of the transition in view (w is 1 where the formation has the
+            // fragment), a phase for the float motion and a tint (a = strength)
+            geometry.setAttribute('aFrom', instanceAttribute(4));
+            geometry.setAttribute('aTo', instanceAttribute(4));
+            geometry.setAttribute('aFromRotation', instanceAttribute(3));
+            geometry.setAttribute('aToRotation', instanceAttribute(3));
+            geometry.setAttribute('aSeed', instanceAttribute(1));
+            geometry.setAttribute('aTint', instanceAttribute(4));
+
             const mesh = new THREE.InstancedMesh(
                 geometry,
                 this.holographicMaterial,
                 countPerGeometry
             );
 
-            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            // The instance matrices stay identity, so they can't bound the instances
+            mesh.frustumCulled = false;
             mesh.userData.geometryType = key;
 
-            // Initialize positions (cube formation)
-            const dummy = new THREE.Object3D();
-            const gridSize = Math.cbrt(countPerGeometry);
-            const spacing = CONFIG.fragments.baseSize * 2.5;
-
+            // Per-fragment loops go through these records, so the split of
+            // fragments over the meshes is only decided here
             for (let i = 0; i < countPerGeometry; i++) {
-                const x = ((i % gridSize) - gridSize / 2) * spacing;
-                const y = ((Math.floor(i / gridSize) % gridSize) - gridSize / 2) * spacing;
-                const z = (Math.floor(i / (gridSize * gridSize)) - gridSize / 2) * spacing;
-
-                dummy.position.set(x, y, z);
-                dummy.rotation.set(
-                    Math.random() * Math.PI,
-                    Math.random() * Math.PI,
-                    Math.random() * Math.PI
-                );
-                dummy.scale.setScalar(1);
-                dummy.updateMatrix();
-
-                mesh.setMatrixAt(i, dummy.matrix);
-
-                // Store original positions
-                this.originalPositions.push({ x, y, z });
+                geometry.attributes.aSeed.setX(i, this.fragments.length);
                 this.fragments.push({
                     index: this.fragments.length,
                     meshIndex: index,
-                    instanceIndex: i,
-                    originalPos: new THREE.Vector3(x, y, z),
-                    currentPos: new THREE.Vector3(x, y, z),
-                    rotation: new THREE.Euler(
-                        Math.random() * Math.PI,
-                        Math.random() * Math.PI,
-                        Math.random() * Math.PI
-                    )
+                    instanceIndex: i
                 });
             }
 
@@ -417,168 +492,224 @@ class FragmentSystem {
         });
     }
 
-    calculatePositions() {
-        // Calculate exploded positions for Stage 2
-        this.fragments.forEach((fragment, i) => {
-            const angle = (i / this.fragments.length) * Math.PI * 2;
-            const radius = 2 + Math.random() * CONFIG.fragments.explosionRadius;
-            const height = (Math.random() - 0.5) * 6;
-
-            this.targetPositions.push({
-                x: Math.cos(angle) * radius,
-                y: height,
-                z: Math.sin(angle) * radius
-            });
-        });
-
-        // Calculate logo positions for Stage 3 (simplified "P" or initials)
-        this.createLogoPositions();
-    }
-
-    createLogoPositions() {
-        // Simple geometric pattern for logo formation
-        const logoCount = Math.min(this.fragments.length, 400);
+    /**
+     * Build every stage's formation (models and fonts load in parallel) and
+     * hand out the targets in stage order: the first formation interleaves
+     * the geometry types, later ones give each fragment the target nearest
+     * to where the previous stage left it
+     */
+    async createFormations() {
+        const count = this.fragments.length;
+        const origin = new THREE.Vector3();
+        const pending = this.stages.map(({ formation }) => createFormation(formation, count).catch(error => {
+            console.warn('Formation unavailable:', formation, error);
+            return { positions: [], rotations: [] };
+        }));
+
+        let previous = null;
+
+        for (const [stage, formation] of pending.entries()) {
+            const { positions, rotations } = await formation;
+
+            // Each assignment takes a while; let the page render in between
+            if (previous) await new Promise(resolve => setTimeout(resolve));
+
+            const assigned = previous
+                ? assignTargets(previous.map(target => (target ? target.position : origin)), positions)
+                : this.fragments.map(({ meshIndex, instanceIndex }) => {
+                    const slot = instanceIndex * this.instancedMeshes.length + meshIndex;
+                    return slot < positions.length ? slot : -1;
+                });
 
-        for (let i = 0; i < logoCount; i++) {
-            const ring = Math.floor(i / 20);
-            const angleInRing = (i % 20) / 20 * Math.PI * 2;
-            const radius = 0.5 + ring * 0.3;
+            this.stageTargets[stage] = assigned.map(index => (index === -1
+                ? null
+                : { position: positions[index], rotation: rotations[index] }));
+            previous = this.stageTargets[stage];
 
-            this.logoPositions.push({
-                x: Math.cos(angleInRing) * radius,
-                y: (Math.random() - 0.5) * 0.5,
-                z: Math.sin(angleInRing) * radius
-            });
+            // Upload on the next frame, so early stages show while later ones load
+            this.transition = -1;
         }
+    }
 
-        // Extra fragments fade out
-        for (let i = logoCount; i < this.fragments.length; i++) {
-            this.logoPositions.push({
-                x: 0,
-                y: 0,
-                z: 0,
-                fadeOut: true
-            });
+    /**
+     * Write one side of a fragment's transition. A fragment the formation
+     * has no place for takes the other side's target pushed outward, with
+     * w = 0, so it drifts out and shrinks away (or grows in) on the GPU
+     */
+    writeTarget(positions, rotations, index, target, other) {
+        const source = target || other;
+        if (!source) {
+            positions.setXYZW(index, 0, 0, 0, 0);
+            rotations.setXYZ(index, 0, 0, 0);
+            return;
         }
+
+        const drift = target ? 1 : 1.5;
+        const { position, rotation } = source;
+        positions.setXYZW(index, position.x * drift, position.y * drift, position.z * drift, target ? 1 : 0);
+        rotations.setXYZ(index, rotation.x, rotation.y, rotation.z);
     }
 
-    update(time, scrollProgress) {
-        // Update shader uniforms
-        this.holographicMaterial.uniforms.uTime.value = time;
-        this.holographicMaterial.uniforms.uHover.value = state.hover;
-        this.holographicMaterial.uniforms.uMouse.value.set(state.mouse.x, state.mouse.y);
+    /**
+     * Fill the instance attributes with the transition from a stage to the
+     * next. Only runs when the scroll crosses into another transition
+     */
+    uploadTransition(stage) {
+        const from = this.stageTargets[stage] || [];
+        const to = this.stageTargets[Math.min(stage + 1, this.stageTargets.length - 1)] || [];
 
-        this.wireframeMaterial.uniforms.uTime.value = time;
+        this.fragments.forEach(({ index, meshIndex, instanceIndex }) => {
+            const { aFrom, aTo, aFromRotation, aToRotation } = this.instancedMeshes[meshIndex].geometry.attributes;
 
-        // Update fragment positions based on scroll stage
-        this.updateFragmentPositions(scrollProgress);
-    }
+            this.writeTarget(aFrom, aFromRotation, instanceIndex, from[index], to[index]);
+            this.writeTarget(aTo, aToRotation, instanceIndex, to[index], from[index]);
+        });
 
-    updateFragmentPositions(scrollProgress) {
-        const dummy = new THREE.Object3D();
-
-        this.instancedMeshes.forEach((mesh, meshIndex) => {
-            for (let i = 0; i < mesh.count; i++) {
-                const fragmentIndex = meshIndex * Math.floor(CONFIG.fragments.count / 3) + i;
-                const fragment = this.fragments[fragmentIndex];
-
-                if (!fragment) continue;
-
-                let targetPos;
-                let scale = 1;
-
-                // Stage 1: Initial View (0-30%) - Cube formation with subtle movement
-                if (scrollProgress < 0.3) {
-                    const stageProgress = scrollProgress / 0.3;
-                    targetPos = fragment.originalPos.clone();
-
-                    // Subtle rotation
-                    dummy.rotation.set(
-                        fragment.rotation.x + stageProgress * Math.PI * 0.5,
-                        fragment.rotation.y + stageProgress * Math.PI * 0.25,
-                        fragment.rotation.z
-                    );
-
-                    // Float animation
-                    targetPos.y += Math.sin(state.time * CONFIG.animation.floatFrequency + fragmentIndex) *
-                                   CONFIG.animation.floatAmplitude;
-
-                // Stage 2: Fragmentation (30-70%) - Explosion
-                } else if (scrollProgress < 0.7) {
-                    const stageProgress = (scrollProgress - 0.3) / 0.4;
-                    const expPos = this.targetPositions[fragmentIndex];
-
-                    targetPos = new THREE.Vector3(
-                        THREE.MathUtils.lerp(fragment.originalPos.x, expPos.x, this.easeOutExpo(stageProgress)),
-                        THREE.MathUtils.lerp(fragment.originalPos.y, expPos.y, this.easeOutExpo(stageProgress)),
-                        THREE.MathUtils.lerp(fragment.originalPos.z, expPos.z, this.easeOutExpo(stageProgress))
-                    );
-
-                    dummy.rotation.set(
-                        fragment.rotation.x + stageProgress * Math.PI * 2,
-                        fragment.rotation.y + stageProgress * Math.PI,
-                        fragment.rotation.z + stageProgress * Math.PI
-                    );
-
-                    scale = 1 + Math.sin(stageProgress * Math.PI) * 0.3;
-
-                // Stage 3: Reassembly (70-100%) - Logo formation
-                } else {
-                    const stageProgress = (scrollProgress - 0.7) / 0.3;
-                    const logoPos = this.logoPositions[fragmentIndex];
-
-                    if (logoPos.fadeOut) {
-                        scale = 1 - stageProgress;
-                        targetPos = new THREE.Vector3(0, 0, 0);
-                    } else {
-                        const expPos = this.targetPositions[fragmentIndex];
-                        targetPos = new THREE.Vector3(
-                            THREE.MathUtils.lerp(expPos.x, logoPos.x, this.easeInOutCubic(stageProgress)),
-                            THREE.MathUtils.lerp(expPos.y, logoPos.y, this.easeInOutCubic(stageProgress)),
-                            THREE.MathUtils.lerp(expPos.z, logoPos.z, this.easeInOutCubic(stageProgress))
-                        );
-                    }
-
-                    dummy.rotation.set(
-                        stageProgress * Math.PI * 0.5,
-                        stageProgress * Math.PI * 0.25,
-                        0
-                    );
-                }
+        this.instancedMeshes.forEach(({ geometry }) => {
+            const { aFrom, aTo, aFromRotation, aToRotation } = geometry.attributes;
+            [aFrom, aTo, aFromRotation, aToRotation].forEach(attribute => {
+                attribute.needsUpdate = true;
+            });
+        });
+    }
 
-                dummy.position.copy(targetPos);
-                dummy.scale.setScalar(scale);
-                dummy.updateMatrix();
-                mesh.setMatrixAt(i, dummy.matrix);
+    /**
+     * Color fragments, e.g. by what they stand for
+     * @param {({ color: THREE.Color, strength: number }|null)[]} tints - Per fragment
+     * @param {number} stage - Stage the tints show in; they fade out toward its neighbours
+     */
+    setTints(tints, stage) {
+        this.tintStage = stage;
+
+        this.fragments.forEach(({ index, meshIndex, instanceIndex }) => {
+            const { aTint } = this.instancedMeshes[meshIndex].geometry.attributes;
+            const tint = tints[index];
+
+            if (tint) {
+                aTint.setXYZW(instanceIndex, tint.color.r, tint.color.g, tint.color.b, tint.strength);
+            } else {
+                aTint.setXYZW(instanceIndex, 0, 0, 0, 0);
             }
+        });
 
-            mesh.instanceMatrix.needsUpdate = true;
+        this.instancedMeshes.forEach(({ geometry }) => {
+            geometry.attributes.aTint.needsUpdate = true;
         });
     }
 
-    // Easing functions
-    easeOutExpo(t) {
-        return t === 1 ? 1 : 1 - Math.pow(2, -10 * t);
+    /**
+     * Where the vertex shader currently draws a fragment, for picking it
+     * on the CPU (the instance matrices stay identity)
+     * @param {number} fragmentIndex
+     * @param {THREE.Vector3} target - Receives the world position
+     * @returns {number} The fragment's scale, 0 while hidden
+     */
+    getFragmentPosition(fragmentIndex, target) {
+        const { meshIndex, instanceIndex: i } = this.fragments[fragmentIndex];
+        const { aFrom, aTo } = this.instancedMeshes[meshIndex].geometry.attributes;
+        const { uTime, uScrollProgress, uEasedProgress, uFloatAmplitude, uFloatFrequency } = this.holographicMaterial.uniforms;
+        const lerp = (from, to) => from + (to - from) * uEasedProgress.value;
+
+        target.set(
+            lerp(aFrom.getX(i), aTo.getX(i)),
+            lerp(aFrom.getY(i), aTo.getY(i)),
+            lerp(aFrom.getZ(i), aTo.getZ(i))
+        );
+        target.y += Math.sin(uTime.value * uFloatFrequency.value + fragmentIndex) * uFloatAmplitude.value;
+        target.applyMatrix4(this.sceneManager.fragmentsGroup.matrixWorld);
+
+        return lerp(aFrom.getW(i), aTo.getW(i)) * (1 + Math.sin(uScrollProgress.value * Math.PI) * 0.3);
     }
 
-    easeInOutCubic(t) {
-        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    update(time, scrollProgress) {
+        const { uniforms } = this.holographicMaterial;
+
+        // Update shader uniforms
+        uniforms.uTime.value = time;
+        uniforms.uHover.value = state.hover;
+        uniforms.uMouse.value.set(state.mouse.x, state.mouse.y);
+
+        this.wireframeMaterial.uniforms.uTime.value = time;
+
+        if (!this.stages.length) return;
+
+        // The transition under way: from one stage to the next, t of the way
+        const last = this.stageTargets.length - 1;
+        const position = scrollProgress * last;
+        const stage = Math.max(Math.min(Math.floor(position), last - 1), 0);
+        const t = last > 0 ? position - stage : 0;
+        this.position = position;
+
+        // Tints fade out over the transitions next to their stage
+        uniforms.uTint.value = this.tintStage === -1 ? 0 : Math.max(1 - Math.abs(position - this.tintStage), 0);
+
+        if (stage !== this.transition) {
+            this.transition = stage;
+            this.uploadTransition(stage);
+        }
+
+        uniforms.uScrollProgress.value = t;
+        uniforms.uEasedProgress.value = last > 0 ? this.eases[stage + 1](t) : 0;
     }
 
     getDefaultVertexShader() {
         return `
             uniform float uTime;
             uniform float uHover;
+            uniform float uScrollProgress;
+            uniform float uEasedProgress;
+            uniform float uFloatAmplitude;
+            uniform float uFloatFrequency;
+            uniform float uTint;
+
+            attribute vec4 aFrom;
+            attribute vec4 aTo;
+            attribute vec3 aFromRotation;
+            attribute vec3 aToRotation;
+            attribute float aSeed;
+            attribute vec4 aTint;
+
             varying vec3 vNormal;
             varying vec3 vPosition;
+            varying vec4 vTint;
+
+            // Same matrix as THREE.Matrix4.makeRotationFromEuler in XYZ order
+            mat3 rotationXYZ(vec3 euler) {
+                float a = cos(euler.x);
+                float b = sin(euler.x);
+                float c = cos(euler.y);
+                float d = sin(euler.y);
+                float e = cos(euler.z);
+                float f = sin(euler.z);
+
+                return mat3(
+                    c * e, a * f + b * e * d, b * f - a * e * d,
+                    -c * f, a * e - b * f * d, b * e + a * f * d,
+                    d, -b * c, a * c
+                );
+            }
 
             void main() {
-                vNormal = normalize(normalMatrix * normal);
-                vPosition = position;
+                // Fragments tumble whole turns and swell in flight, so they
+                // settle exactly on the formation at either end
+                float spin = uScrollProgress * 6.2831853;
+                float swell = 1.0 + sin(uScrollProgress * 3.1415927) * 0.3;
+
+                vec4 target = mix(aFrom, aTo, uEasedProgress);
+                mat3 rotation = rotationXYZ(mix(aFromRotation, aToRotation, uEasedProgress) + vec3(spin, spin, 0.0));
+                float scale = target.w * swell;
+
+                vec3 offset = target.xyz;
+                offset.y += sin(uTime * uFloatFrequency + aSeed) * uFloatAmplitude;
 
                 vec3 newPos = position;
                 float pulse = sin(uTime * 2.0) * 0.02;
                 newPos += normal * pulse;
+                newPos = rotation * (newPos * scale) + offset;
+
+                vNormal = normalize(normalMatrix * rotation * normal);
+                vPosition = newPos;
+                vTint = vec4(aTint.rgb, aTint.a * uTint);
 
                 gl_Position = projectionMatrix * modelViewMatrix * vec4(newPos, 1.0);
             }
@@ -592,12 +723,13 @@ class FragmentSystem {
             uniform float uOpacity;
             varying vec3 vNormal;
             varying vec3 vPosition;
+            varying vec4 vTint;
 
             void main() {
                 vec3 viewDir = normalize(cameraPosition - vPosition);
                 float fresnel = pow(1.0 - abs(dot(vNormal, viewDir)), 2.0);
 
-                vec3 color = mix(uColor1, uColor2, fresnel);
+                vec3 color = mix(mix(uColor1, uColor2, fresnel), vTint.rgb, vTint.a);
                 float alpha = uOpacity * (0.3 + fresnel * 0.7);
 
                 gl_FragColor = vec4(color * (1.0 + fresnel), alpha);
@@ -676,17 +808,27 @@ class ParticleSystem {
 // GSAP SCROLL TRIGGER ANIMATION
 // ============================================
 class ScrollAnimation {
-    constructor(sceneManager, fragmentSystem) {
+    /**
+     * @param {object} sceneManager
+     * @param {object[]} stages - Scroll stages whose sections are on the page
+     */
+    constructor(sceneManager, stages) {
         this.sceneManager = sceneManager;
-        this.fragmentSystem = fragmentSystem;
+        this.stages = stages;
+
+        // Triggers of the transitions into the second stage onward
+        this.transitions = [];
 
         // Ensure scroll is at top before setting up triggers
         this.forceScrollToTop();
 
-        // Small delay to ensure DOM is ready
-        setTimeout(() => {
-            this.setupScrollTriggers();
-        }, 100);
+        // Small delay to ensure DOM is ready; routes scroll once this resolves
+        this.ready = new Promise(resolve => {
+            setTimeout(() => {
+                this.setupScrollTriggers();
+                resolve();
+            }, 100);
+        });
     }
 
     forceScrollToTop() {
@@ -695,88 +837,89 @@ class ScrollAnimation {
         document.body.scrollTop = 0;
     }
 
+    /**
+     * Camera position, group rotation and bloom of every stage, with the
+     * values a stage leaves out carried over from the one before (the first
+     * stage starts from the scene as SceneManager set it up)
+     */
+    resolvePoses() {
+        const { camera, fragmentsGroup, bloomPass } = this.sceneManager;
+        let previous = {
+            camera: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+            rotation: { x: fragmentsGroup.rotation.x, y: fragmentsGroup.rotation.y, z: fragmentsGroup.rotation.z },
+            bloom: bloomPass.strength
+        };
+
+        return this.stages.map(stage => {
+            previous = {
+                camera: { ...previous.camera, ...stage.camera },
+                rotation: { ...previous.rotation, ...stage.rotation },
+                bloom: stage.bloom ?? previous.bloom
+            };
+            return previous;
+        });
+    }
+
     setupScrollTriggers() {
         // Refresh ScrollTrigger after scroll is forced to top
         ScrollTrigger.refresh();
 
-        // Stage 1 to 2: Initial to Fragmentation
-        gsap.timeline({
-            scrollTrigger: {
-                trigger: '#hero',
-                start: 'top top',
-                end: 'bottom top',
-                scrub: CONFIG.animation.scrollDuration,
-                onUpdate: (self) => {
-                    state.scrollProgress = self.progress * 0.3;
-                    state.currentStage = self.progress < 1 ? 0 : 1;
-                }
-            }
-        })
-        .to(this.sceneManager.camera.position, {
-            z: 10,
-            ease: 'none'
-        }, 0)
-        .to(this.sceneManager.fragmentsGroup.rotation, {
-            y: Math.PI * 0.5,
-            ease: 'none'
-        }, 0);
-
-        // Stage 2: Fragmentation to Projects
-        gsap.timeline({
-            scrollTrigger: {
-                trigger: '#projects',
-                start: 'top bottom',
-                end: 'bottom bottom',
-                scrub: CONFIG.animation.scrollDuration,
-                onUpdate: (self) => {
-                    state.scrollProgress = 0.3 + self.progress * 0.4;
-                }
-            }
-        })
-        .to(this.sceneManager.camera.position, {
-            x: 3,
-            y: 2,
-            z: 12,
-            ease: 'none'
-        }, 0)
-        .to(this.sceneManager.fragmentsGroup.rotation, {
-            y: Math.PI,
-            z: Math.PI * 0.5,
-            ease: 'none'
-        }, 0);
-
-        // Stage 3: Reassembly to Contact
-        gsap.timeline({
-            scrollTrigger: {
-                trigger: '#contact',
-                start: 'top bottom',
-                end: 'bottom bottom',
-                scrub: CONFIG.animation.scrollDuration,
-                onUpdate: (self) => {
-                    state.scrollProgress = 0.7 + self.progress * 0.3;
-                }
-            }
-        })
-        .to(this.sceneManager.camera.position, {
-            x: 0,
-            y: 0,
-            z: 8,
-            ease: 'none'
-        }, 0)
-        .to(this.sceneManager.fragmentsGroup.rotation, {
-            y: Math.PI * 2,
-            z: 0,
-            ease: 'none'
-        }, 0)
-        .to(this.sceneManager.bloomPass, {
-            strength: 2.5,
-            ease: 'none'
-        }, 0.5);
+        this.setupStages();
+        this.syncProgress();
 
         // Text animations
         this.animateText();
     }
 
+    setupStages() {
+        const { camera, fragmentsGroup, bloomPass } = this.sceneManager;
+        const poses = this.resolvePoses();
+        if (!poses.length) return;
+
+        // Start in the first stage's pose
+        camera.position.set(poses[0].camera.x, poses[0].camera.y, poses[0].camera.z);
+        fragmentsGroup.rotation.set(poses[0].rotation.x, poses[0].rotation.y, poses[0].rotation.z);
+        bloomPass.strength = poses[0].bloom;
+
+        // One scrubbed timeline per pair of adjacent stages, running while
+        // the later stage's section scrolls in (clamped, so a short last
+        // section still completes at the bottom of the page)
+        this.transitions = this.stages.slice(1).map((stage, index) => {
+            const from = poses[index];
+            const to = poses[index + 1];
+
+            const timeline = gsap.timeline({
+                scrollTrigger: {
+                    trigger: stage.section,
+                    start: 'top bottom',
+                    end: 'clamp(top top)',
+                    scrub: CONFIG.animation.scrollDuration,
+                    onUpdate: () => this.syncProgress()
+                },
+                // Earlier stages own the pose until their transition starts
+                defaults: { ease: stage.ease || 'none', immediateRender: false }
+            })
+            .fromTo(camera.position, { ...from.camera }, { ...to.camera }, 0)
+            .fromTo(fragmentsGroup.rotation, { ...from.rotation }, { ...to.rotation }, 0)
+            .fromTo(bloomPass, { strength: from.bloom }, { strength: to.bloom }, 0);
+
+            return timeline.scrollTrigger;
+        });
+    }
+
+    /**
+     * Derive state.scrollProgress from all transitions at once. Triggers
+     * update in creation order, so after a jump (deep link, back/forward)
+     * the last one to fire is not necessarily the transition in view
+     */
+    syncProgress() {
+        const index = this.transitions.findLastIndex(trigger => trigger.progress > 0);
+        const position = index === -1 ? 0 : index + this.transitions[index].progress;
+
+        state.scrollProgress = this.transitions.length ? position / this.transitions.length : 0;
+        state.currentStage = Math.round(position);
+    }
+
     animateText() {
         // Hero title
         gsap.utils.toArray('.hero__title-line').forEach((line, i) => {
@@ -819,23 +962,6 @@ class ScrollAnimation {
                 }
             });
         });
-
-        // Stats counter animation
-        gsap.utils.toArray('.stat__number').forEach((stat) => {
-            const target = parseInt(stat.dataset.count);
-
-            gsap.to(stat, {
-                innerText: target,
-                duration: 2,
-                ease: 'power2.out',
-                snap: { innerText: 1 },
-                scrollTrigger: {
-                    trigger: stat,
-                    start: 'top 80%',
-                    toggleActions: 'play none none reverse'
-                }
-            });
-        });
     }
 }
 
@@ -866,8 +992,12 @@ class SmoothScroll {
         requestAnimationFrame(this.raf);
     }
 
-    scrollTo(target) {
-        this.lenis.scrollTo(target);
+    /**
+     * @param {Element|number} target
+     * @param {object} [options] - Lenis options, e.g. { immediate, offset }
+     */
+    scrollTo(target, options = {}) {
+        this.lenis.scrollTo(target, options);
     }
 }
 
@@ -962,10 +1092,13 @@ class App {
         this.sceneManager = null;
         this.fragmentSystem = null;
         this.particleSystem = null;
+        this.projectCarousel = null;
+        this.projectFragments = null;
         this.scrollAnimation = null;
         this.smoothScroll = null;
         this.customCursor = null;
         this.performanceMonitor = null;
+        this.router = null;
 
         this.init();
     }
@@ -973,12 +1106,28 @@ class App {
     init() {
         // Initialize systems
         this.sceneManager = new SceneManager();
-        this.fragmentSystem = new FragmentSystem(this.sceneManager);
+        // Stages whose section is on the page
+        const stages = CONFIG.stages.filter(({ section }) => document.querySelector(section));
+
+        this.fragmentSystem = new FragmentSystem(this.sceneManager, stages);
         this.particleSystem = new ParticleSystem(this.sceneManager);
-        this.scrollAnimation = new ScrollAnimation(this.sceneManager, this.fragmentSystem);
+        this.projectCarousel = new ProjectCarousel(this.sceneManager);
+
+        // Clusters of fragments stand for the projects in the marked stage
+        const repositoryStage = stages.findIndex(stage => stage.repositories);
+        if (repositoryStage !== -1) {
+            this.projectFragments = new ProjectFragments(this.fragmentSystem, this.sceneManager, {
+                stage: repositoryStage,
+                onOpen: key => openProject(key)
+            });
+        }
+        this.scrollAnimation = new ScrollAnimation(this.sceneManager, stages);
         this.smoothScroll = new SmoothScroll();
         this.customCursor = new CustomCursor();
         this.performanceMonitor = new PerformanceMonitor();
+        this.router = new Router({
+            scrollTo: (target, options) => this.smoothScroll.scrollTo(target, options)
+        });
 
         // Event listeners
         window.addEventListener('resize', this.onResize.bind(this));
@@ -1005,8 +1154,22 @@ class App {
             ease: 'power2.out'
         });
 
+        // Offline banner; projects reload by themselves once back online
+        initOfflineBanner();
+
+        // The carousel view and the fragment clusters render into the scene
+        setProjectCarousel(this.projectCarousel);
+        if (this.projectFragments) setProjectFragments(this.projectFragments);
+
         // Load GitHub projects
         loadGitHubProjects();
+
+        // Load contribution heatmap through the same providers as the projects
+        initContributionCalendar(getPortfolioAPI());
+
+        // Follow the URL once the stage triggers can track the jump
+        initProjectRoutes(this.router);
+        this.scrollAnimation.ready.then(() => this.router.start());
     }
 
     onResize() {
@@ -1036,6 +1199,8 @@ class App {
         // Update systems
         this.fragmentSystem?.update(state.time, state.scrollProgress);
         this.particleSystem?.update(state.time);
+        this.projectCarousel?.update();
+        this.projectFragments?.update();
 
         // Update post-processing
         if (this.sceneManager?.chromaticPass) {
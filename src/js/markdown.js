@@ -0,0 +1,119 @@
+/**
+ * MARKDOWN RENDERER MODULE
+ * Turns README markdown into sanitized HTML: fenced code is highlighted,
+ * relative links and images are resolved against the repository
+ */
+
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import css from 'highlight.js/lib/languages/css';
+import go from 'highlight.js/lib/languages/go';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import markdown from 'highlight.js/lib/languages/markdown';
+import php from 'highlight.js/lib/languages/php';
+import python from 'highlight.js/lib/languages/python';
+import rust from 'highlight.js/lib/languages/rust';
+import scss from 'highlight.js/lib/languages/scss';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+
+// ============================================
+// SYNTAX HIGHLIGHTING
+// ============================================
+// Only the languages common in READMEs are bundled; aliases (js, sh,
+// html, yml, ...) come with each definition
+Object.entries({
+    bash, css, go, java, javascript, json, markdown, php, python, rust, scss, typescript, xml, yaml
+}).forEach(([name, language]) => hljs.registerLanguage(name, language));
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const highlight = (code, lang) => {
+    const language = (lang || '').split(/\s/)[0];
+
+    if (language && hljs.getLanguage(language)) {
+        return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+    }
+
+    return escapeHtml(code);
+};
+
+const marked = new Marked({
+    gfm: true,
+    renderer: {
+        code({ text, lang }) {
+            return `<pre class="markdown__code"><code class="hljs">${highlight(text, lang)}</code></pre>`;
+        }
+    }
+});
+
+// ============================================
+// LINK REWRITING
+// ============================================
+const isRelative = (url) => url && !/^([a-z][a-z\d+.-]*:|\/\/|#)/i.test(url);
+
+/**
+ * Resolve a README-relative URL; root-relative paths ("/docs/x.png")
+ * are relative to the repository root the provider passed, not the host
+ */
+const resolveUrl = (url, base, root) => {
+    if (!base) return url;
+
+    if (url.startsWith('/')) {
+        // Without a root, fall back to the README's own directory
+        return root ? `${root.replace(/\/$/, '')}${url}` : new URL(url.slice(1), base).href;
+    }
+
+    return new URL(url, base).href;
+};
+
+const rewriteLinks = (fragment, { rawUrl, htmlUrl, repoRoot = {} }) => {
+    fragment.querySelectorAll('img[src]').forEach(img => {
+        const src = img.getAttribute('src');
+        if (isRelative(src)) img.setAttribute('src', resolveUrl(src, rawUrl, repoRoot.raw));
+        img.setAttribute('loading', 'lazy');
+    });
+
+    fragment.querySelectorAll('a[href]').forEach(link => {
+        const href = link.getAttribute('href');
+        if (href.startsWith('#')) return;
+
+        if (isRelative(href)) link.setAttribute('href', resolveUrl(href, htmlUrl, repoRoot.html));
+        link.setAttribute('target', '_blank');
+        link.setAttribute('rel', 'noopener noreferrer');
+    });
+};
+
+// ============================================
+// RENDERER
+// ============================================
+
+/**
+ * Render markdown into a sanitized DocumentFragment
+ * @param {string} source - Markdown text
+ * @param {object} [bases] - { rawUrl, htmlUrl } of the README file and the
+ *   { raw, html } repoRoot that root-relative paths resolve against
+ * @returns {DocumentFragment}
+ */
+const renderMarkdown = (source, bases = {}) => {
+    const fragment = DOMPurify.sanitize(marked.parse(source), {
+        RETURN_DOM_FRAGMENT: true,
+        FORBID_TAGS: ['style', 'form', 'input', 'button']
+    });
+
+    rewriteLinks(fragment, bases);
+    return fragment;
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export { renderMarkdown };
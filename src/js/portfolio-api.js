@@ -0,0 +1,192 @@
+/**
+ * PORTFOLIO DATA AGGREGATOR
+ * Runs every configured repository provider and merges the results
+ * into one normalized portfolio (profile, repositories, stats)
+ */
+
+import { GitHubAPI, GITHUB_CONFIG } from './github-api.js';
+import { GitLabAPI, GITLAB_CONFIG } from './gitlab-api.js';
+import { computeLanguageStats, summarizeRepositories } from './repository-provider.js';
+import { Cache } from './cache.js';
+
+// ============================================
+// PORTFOLIO API CLASS
+// ============================================
+class PortfolioAPI {
+    /**
+     * @param {RepositoryProvider[]} providers - The first provider supplies the profile
+     * @param {object} [options]
+     * @param {number} [options.cacheDuration] - How long a merged portfolio counts as fresh
+     * @param {number} [options.staleDuration] - How long an older one may be served while revalidating
+     */
+    constructor(providers, options = {}) {
+        this.providers = providers;
+        this.cacheDuration = options.cacheDuration ?? 5 * 60 * 1000;
+        this.staleDuration = options.staleDuration ?? 7 * 24 * 60 * 60 * 1000;
+        this.cacheKey = `portfolio_${providers.map(p => `${p.source}-${p.getAccountKey()}`).join('_')}`;
+    }
+
+    /**
+     * Fetch the merged portfolio, stale-while-revalidate
+     * A stale portfolio resolves immediately; onUpdate receives the
+     * fresh one once the background refetch succeeds
+     */
+    async fetchPortfolioData({ onUpdate = null } = {}) {
+        return Cache.getOrLoad(this.cacheKey, () => this.loadPortfolioData(), {
+            maxAge: this.cacheDuration,
+            staleAge: this.staleDuration,
+            onUpdate
+        });
+    }
+
+    /**
+     * Fetch every provider and merge them into one portfolio
+     * Secondary providers that fail are skipped so one outage
+     * does not blank the whole section
+     */
+    async loadPortfolioData() {
+        const results = await Promise.allSettled(
+            this.providers.map(provider => provider.fetchPortfolioData())
+        );
+
+        const portfolios = [];
+
+        results.forEach((result, index) => {
+            const provider = this.providers[index];
+
+            if (result.status === 'fulfilled') {
+                portfolios.push(result.value);
+            } else if (index === 0) {
+                throw result.reason;
+            } else {
+                console.warn(`Skipping ${provider.label} data:`, result.reason);
+            }
+        });
+
+        return this.mergePortfolios(portfolios);
+    }
+
+    /**
+     * Next page of repositories from every provider that has more
+     * Each provider continues from the cursor it returned last; cursors only
+     * move on success, so a page that failed can simply be requested again
+     * @param {object[]} shown - Repositories currently on screen
+     * @param {object} cursors - Per source, as in the portfolio; null when done
+     * @returns {Promise<{ repositories: object[], cursors: object }>}
+     */
+    async loadMoreRepositories(shown, cursors) {
+        const shownKeys = new Set(shown.map(repo => `${repo.source}:${repo.fullName}`));
+        const pending = this.providers.filter(provider => cursors[provider.source] != null);
+
+        const pages = await Promise.all(pending.map(provider =>
+            provider.getMoreRepositories(cursors[provider.source])
+        ));
+
+        const next = { ...cursors };
+        pending.forEach((provider, index) => {
+            next[provider.source] = pages[index].cursor;
+        });
+
+        // Providers page independently, so interleave their pages by recency;
+        // a repository updated since the first page may come round again
+        const repositories = pages
+            .flatMap(page => page.repositories)
+            .filter(repo => !shownKeys.has(`${repo.source}:${repo.fullName}`))
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+        return { repositories, cursors: next };
+    }
+
+    /**
+     * README and releases of a merged repository, from the provider it came from
+     */
+    async getRepositoryDetails(repo) {
+        const provider = this.providers.find(p => p.source === repo.source);
+        return provider ? provider.getRepositoryDetails(repo) : { readme: null, releases: [] };
+    }
+
+    /**
+     * Contribution calendar of the first provider that has one (GitHub)
+     */
+    async getContributionCalendar(year = null) {
+        const provider = this.providers.find(p => typeof p.getContributionCalendar === 'function');
+        if (!provider) throw new Error('No provider supplies a contribution calendar');
+
+        return provider.getContributionCalendar(year);
+    }
+
+    /**
+     * Merge provider portfolios into a single one
+     */
+    mergePortfolios(portfolios) {
+        const [primary] = portfolios;
+
+        // Featured in manifest order, then most recently updated, regardless of source
+        const featuredRank = (repo) => (repo.isFeatured ? repo.featuredRank : Infinity);
+        const repositories = portfolios
+            .flatMap(portfolio => portfolio.repositories)
+            .sort((a, b) =>
+                featuredRank(a) - featuredRank(b) ||
+                new Date(b.updatedAt) - new Date(a.updatedAt)
+            );
+
+        const sum = (key) => portfolios.reduce((total, p) => total + (p.stats[key] || 0), 0);
+
+        return {
+            profile: {
+                ...primary.profile,
+                accounts: portfolios.map(({ profile }) => ({
+                    source: profile.source,
+                    login: profile.login,
+                    url: profile.url
+                }))
+            },
+            repositories,
+            languageStats: computeLanguageStats(repositories),
+            stats: {
+                totalRepos: sum('totalRepos'),
+                totalStars: sum('totalStars'),
+                totalForks: sum('totalForks'),
+                followers: sum('followers'),
+                following: sum('following'),
+                accountAge: Math.max(...portfolios.map(p => p.stats.accountAge || 0)),
+                // Shown repositories per provider and per user or organization
+                bySource: summarizeRepositories(repositories, repo => repo.source),
+                byOwner: summarizeRepositories(repositories, repo => repo.owner),
+                // Only the GitHub GraphQL backend reports contribution totals
+                contributions: primary.stats.contributions
+            },
+            // Providers that were rate limited and served their last known data
+            stale: portfolios.map(p => p.stale).filter(Boolean),
+            // Where "load more" continues per source, e.g. { github: 12, gitlab: null }
+            cursors: Object.fromEntries(portfolios.map(p => [p.profile.source, p.cursor ?? null]))
+        };
+    }
+}
+
+// ============================================
+// FACTORY
+// ============================================
+/**
+ * @param {object} [options]
+ * @param {object} [options.manifest] - Parsed src/data/portfolio.json
+ * @param {object} [options.github] - Overrides merged into GITHUB_CONFIG
+ * @param {object} [options.gitlab] - Overrides merged into GITLAB_CONFIG
+ */
+const createPortfolioAPI = ({ manifest = null, github = {}, gitlab = {} } = {}) => {
+    const githubConfig = { ...GITHUB_CONFIG, ...github };
+    const gitlabConfig = { ...GITLAB_CONFIG, ...gitlab };
+
+    const providers = [new GitHubAPI(githubConfig).setManifest(manifest)];
+
+    if (gitlabConfig.enabled) {
+        providers.push(new GitLabAPI(gitlabConfig).setManifest(manifest));
+    }
+
+    return new PortfolioAPI(providers, { cacheDuration: githubConfig.cacheDuration });
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export { PortfolioAPI, createPortfolioAPI };
@@ -0,0 +1,94 @@
+/**
+ * PORTFOLIO MANIFEST MODULE
+ * Applies the curated src/data/portfolio.json on top of provider data:
+ * featured order, hidden repositories and per-repository overrides
+ */
+
+// ============================================
+// NORMALIZATION
+// ============================================
+const EMPTY_MANIFEST = { featured: [], hidden: [], repositories: {} };
+
+/**
+ * Lower-case every key so lookups are case-insensitive
+ * Keys may be a repository name ("my-repo") or a full name ("owner/my-repo")
+ */
+const normalizeManifest = (manifest) => {
+    if (!manifest) return EMPTY_MANIFEST;
+
+    const repositories = {};
+    Object.entries(manifest.repositories || {}).forEach(([key, entry]) => {
+        repositories[key.toLowerCase()] = entry;
+    });
+
+    return {
+        featured: (manifest.featured || []).map(key => key.toLowerCase()),
+        hidden: (manifest.hidden || []).map(key => key.toLowerCase()),
+        repositories
+    };
+};
+
+// ============================================
+// LOOKUPS
+// ============================================
+const identityKeys = ({ name, fullName }) =>
+    [name, fullName].filter(Boolean).map(key => key.toLowerCase());
+
+const isHidden = (manifest, identity) =>
+    identityKeys(identity).some(key => manifest.hidden.includes(key));
+
+/**
+ * Position in the featured list, or -1
+ */
+const getFeaturedRank = (manifest, identity) => {
+    const keys = identityKeys(identity);
+    return manifest.featured.findIndex(key => keys.includes(key));
+};
+
+const getOverrides = (manifest, identity) => {
+    const key = identityKeys(identity).find(k => manifest.repositories[k]);
+    return key ? manifest.repositories[key] : {};
+};
+
+// ============================================
+// MERGING
+// ============================================
+
+/**
+ * Featured first in manifest order, everything else keeps its order
+ */
+const sortByFeatured = (items, manifest, identify) => {
+    const rank = (item) => {
+        const featured = getFeaturedRank(manifest, identify(item));
+        return featured === -1 ? Infinity : featured;
+    };
+
+    return items
+        .map((item, index) => ({ item, index, rank: rank(item) }))
+        .sort((a, b) => a.rank - b.rank || a.index - b.index)
+        .map(({ item }) => item);
+};
+
+/**
+ * Merge manifest overrides into an enriched repository
+ */
+const applyManifest = (repo, manifest) => {
+    const overrides = getOverrides(manifest, repo);
+    const featuredRank = getFeaturedRank(manifest, repo);
+
+    return {
+        ...repo,
+        title: overrides.title || repo.name,
+        description: overrides.description || repo.description,
+        homepage: overrides.homepage || repo.homepage,
+        screenshots: overrides.screenshots || [],
+        role: overrides.role || null,
+        isFeatured: featuredRank !== -1,
+        featuredRank
+    };
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export { normalizeManifest, isHidden, sortByFeatured, applyManifest, EMPTY_MANIFEST };
@@ -0,0 +1,216 @@
+/**
+ * PROFILE MODULE
+ * Renders the hero, navigation, contact cards and social links from the
+ * provider profile, with src/data/profile.json layered on top
+ */
+
+import { html, safeUrl, setHTML, trustedHTML } from './html.js';
+
+// ============================================
+// ICONS & ACCOUNT LINKS
+// ============================================
+const ICONS = {
+    github: trustedHTML('<svg viewBox="0 0 24 24" fill="currentColor"><path d="M12 0C5.374 0 0 5.373 0 12c0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23A11.509 11.509 0 0112 5.803c1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576C20.566 21.797 24 17.3 24 12c0-6.627-5.373-12-12-12z"/></svg>'),
+    gitlab: trustedHTML('<svg viewBox="0 0 24 24" fill="currentColor"><path d="M22.65 14.39L12 22.13 1.35 14.39a.84.84 0 0 1-.3-.94l1.22-3.78 2.44-7.51A.42.42 0 0 1 4.82 2a.43.43 0 0 1 .41.26l2.47 7.6h8.6l2.47-7.6A.43.43 0 0 1 19.18 2a.42.42 0 0 1 .41.26l2.44 7.51 1.22 3.78a.84.84 0 0 1-.3.94z"/></svg>'),
+    email: trustedHTML('<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/><polyline points="22,6 12,13 2,6"/></svg>'),
+    website: trustedHTML('<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="2" y1="12" x2="22" y2="12"/><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/></svg>'),
+    twitter: trustedHTML('<svg viewBox="0 0 24 24" fill="currentColor"><path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z"/></svg>')
+};
+
+// Profile pages of accounts that are known before any data loads
+const ACCOUNT_LINKS = {
+    github: { label: 'GitHub', url: login => `https://github.com/${login}` },
+    gitlab: { label: 'GitLab', url: login => `https://gitlab.com/${login}` }
+};
+
+/**
+ * Where an account lists all of its repositories
+ */
+const getRepositoriesUrl = (account) =>
+    account.source === 'github' ? `${account.url}?tab=repositories` : account.url;
+
+const EMAIL = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// ============================================
+// PROFILE RESOLUTION
+// ============================================
+
+/**
+ * GitHub stores blogs with or without a protocol
+ */
+const toWebsiteUrl = (value) => {
+    if (!value) return null;
+    return safeUrl(/^[a-z][a-z\d+.-]*:/i.test(value) ? value : `https://${value}`);
+};
+
+/**
+ * Merge a provider profile with the overrides from profile.json
+ * Overrides only apply while their "username" matches the profile login, so
+ * changing the configured username alone shows someone else's profile cleanly
+ * @param {object} profile - Normalized (merged) profile, or { login, source, accounts } before data loads
+ * @param {object} [overrides] - Parsed src/data/profile.json
+ */
+const resolveProfile = (profile, overrides = {}) => {
+    const owner = overrides.username;
+    const own = !owner || owner.toLowerCase() === profile.login.toLowerCase() ? overrides : {};
+    const pick = (key) => own[key] ?? profile[key] ?? null;
+
+    const accounts = (profile.accounts || [{ source: profile.source, login: profile.login, url: profile.url }])
+        .filter(account => ACCOUNT_LINKS[account.source])
+        .map(account => ({
+            ...account,
+            label: ACCOUNT_LINKS[account.source].label,
+            url: safeUrl(account.url) || ACCOUNT_LINKS[account.source].url(account.login)
+        }));
+
+    const email = pick('email');
+    const twitter = pick('twitter');
+
+    return {
+        login: profile.login,
+        name: pick('name') || profile.login,
+        avatar: safeUrl(pick('avatar')) ||
+            (profile.source === 'github' ? `https://github.com/${profile.login}.png` : null),
+        headline: own.headline || null,
+        badges: own.badges || [profile.company, profile.location].filter(Boolean),
+        bio: pick('bio'),
+        email: email && EMAIL.test(email) ? email : null,
+        website: toWebsiteUrl(own.website ?? profile.blog),
+        twitter: twitter ? twitter.replace(/^@/, '') : null,
+        accounts
+    };
+};
+
+// ============================================
+// RENDERING
+// ============================================
+const createContactCard = ({ url, icon, label, value, external = true }) => html`
+    <a href="${url}" class="contact__card"${external && html` target="_blank" rel="noopener"`}>
+        <div class="contact__card-icon">${icon}</div>
+        <div class="contact__card-content">
+            <span class="contact__card-label">${label}</span>
+            <span class="contact__card-value">${value}</span>
+        </div>
+    </a>
+`;
+
+const createSocialLink = ({ url, icon, label }) => html`
+    <a href="${url}" target="_blank" rel="noopener" class="social__link" title="${label}" aria-label="${label}">${icon}</a>
+`;
+
+/**
+ * Set a glitch heading's text and the data-text its pseudo-elements echo
+ * Existing line spans are reused so their entrance animation still applies
+ */
+const setGlitchText = (element, lines) => {
+    if (!element) return;
+
+    element.dataset.text = lines.filter(Boolean).join(' ');
+
+    const spans = element.querySelectorAll('.hero__title-line');
+    if (!spans.length) {
+        element.textContent = element.dataset.text;
+        return;
+    }
+
+    spans.forEach((span, index) => {
+        // Extra words stay on the last line
+        span.textContent = index === spans.length - 1 ? lines.slice(index).join(' ') : (lines[index] || '');
+        span.hidden = !span.textContent;
+    });
+};
+
+const setLink = (element, url, label = null) => {
+    if (!element || !url) return;
+
+    element.href = url;
+    if (label) element.setAttribute('aria-label', label);
+};
+
+/**
+ * Render a resolved profile into the page
+ * @param {object} profile - resolveProfile() output
+ */
+const renderProfile = (profile) => {
+    const [primary] = profile.accounts;
+    const words = profile.name.toUpperCase().split(/\s+/).filter(Boolean);
+
+    document.title = `${profile.name} - Portfolio`;
+
+    // Navigation
+    setGlitchText(document.querySelector('#nav-logo .glitch-text'), words.slice(0, 1));
+    if (primary) {
+        setLink(document.getElementById('nav-logo'), primary.url);
+        setLink(document.getElementById('nav-profile'), primary.url, `${primary.label} profile`);
+    }
+
+    // Hero
+    const avatar = document.getElementById('hero-avatar');
+    if (avatar) {
+        if (profile.avatar) avatar.src = profile.avatar;
+        avatar.alt = profile.name;
+    }
+
+    const badges = document.getElementById('hero-badges');
+    if (badges) {
+        setHTML(badges, html`${profile.badges.map(badge => html`<span class="hero__badge">${badge}</span>`)}`);
+        badges.hidden = !profile.badges.length;
+    }
+
+    setGlitchText(document.getElementById('hero-title'), [words[0] || '', words.slice(1).join(' ')]);
+
+    const headline = document.getElementById('hero-headline');
+    if (headline) {
+        headline.textContent = profile.headline || '';
+        headline.dataset.text = profile.headline || '';
+        headline.hidden = !profile.headline;
+    }
+
+    const bio = document.getElementById('hero-bio');
+    if (bio) {
+        bio.textContent = profile.bio || '';
+        bio.hidden = !profile.bio;
+    }
+
+    const profileButton = document.getElementById('hero-profile');
+    if (profileButton && primary) {
+        setLink(profileButton, primary.url);
+        profileButton.querySelector('.btn__text').textContent = `${primary.label} Profile`;
+    }
+
+    if (primary) setLink(document.getElementById('projects-all'), getRepositoriesUrl(primary));
+
+    // Contact
+    const cards = [
+        ...profile.accounts.map(account => ({
+            url: account.url,
+            icon: ICONS[account.source],
+            label: account.label,
+            value: `@${account.login}`
+        })),
+        profile.email && {
+            url: `mailto:${profile.email}`,
+            icon: ICONS.email,
+            label: 'Email',
+            value: profile.email,
+            external: false
+        }
+    ].filter(Boolean);
+
+    const social = [
+        ...profile.accounts.map(account => ({ url: account.url, icon: ICONS[account.source], label: account.label })),
+        profile.website && { url: profile.website, icon: ICONS.website, label: 'Website' },
+        profile.twitter && { url: `https://x.com/${encodeURIComponent(profile.twitter)}`, icon: ICONS.twitter, label: 'X (Twitter)' }
+    ].filter(Boolean);
+
+    const cardsContainer = document.getElementById('contact-cards');
+    if (cardsContainer) setHTML(cardsContainer, html`${cards.map(createContactCard)}`);
+
+    const socialContainer = document.getElementById('contact-social');
+    if (socialContainer) setHTML(socialContainer, html`${social.map(createSocialLink)}`);
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export { resolveProfile, renderProfile, getRepositoriesUrl };
@@ -0,0 +1,357 @@
+/**
+ * PROJECT CAROUSEL MODULE
+ * A ring of project panels in the main Three.js scene. The ring follows
+ * an HTML stage element on screen, so the page layout decides where it
+ * appears; the DOM around it (ProjectViews) drives which panel faces front
+ */
+
+import * as THREE from 'three';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const CAROUSEL_CONFIG = {
+    // Panels on the ring; longer lists reuse the panels turned away
+    maxPanels: 10,
+    panelWidth: 1.6,
+    panelHeight: 1,
+    textureWidth: 512,
+    textureHeight: 320,
+    // World units between the camera and the front panel
+    distance: 6,
+    // Share of the stage the ring may cover
+    fill: 0.85,
+    // Rotation eased per frame toward the focused panel
+    ease: 0.08,
+    // Opacity of the panel furthest from the front
+    fade: 0.2
+};
+
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+const mod = (value, length) => ((value % length) + length) % length;
+
+const cssVar = (name, fallback) =>
+    getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+
+// ============================================
+// PANEL TEXTURES
+// ============================================
+
+/**
+ * Lines of text that fit the width, the last one cut with an ellipsis
+ */
+const wrapText = (ctx, text, width, maxLines) => {
+    const lines = [];
+    let line = '';
+
+    String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+        const next = line ? `${line} ${word}` : word;
+        if (!line || ctx.measureText(next).width <= width) {
+            line = next;
+        } else {
+            lines.push(line);
+            line = word;
+        }
+    });
+    if (line) lines.push(line);
+
+    const shown = lines.slice(0, maxLines);
+    const last = shown.length - 1;
+
+    if (last >= 0 && (lines.length > maxLines || ctx.measureText(shown[last]).width > width)) {
+        let end = shown[last];
+        while (end.length > 1 && ctx.measureText(`${end}…`).width > width) end = end.slice(0, -1);
+        shown[last] = `${end.trimEnd()}…`;
+    }
+
+    return shown;
+};
+
+/**
+ * Draw a project panel: title, description, language and counts
+ * @param {{ title: string, description: string, language: string, color: string, stars: number, forks: number }} item
+ */
+const createPanelTexture = (item) => {
+    const { textureWidth: width, textureHeight: height } = CAROUSEL_CONFIG;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    const font = cssVar('--font-primary', 'sans-serif');
+    const padding = 36;
+
+    ctx.fillStyle = cssVar('--bg-primary', '#0A0A0F');
+    ctx.beginPath();
+    ctx.roundRect(2, 2, width - 4, height - 4, 24);
+    ctx.fill();
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = item.color;
+    ctx.stroke();
+
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = cssVar('--text-primary', '#F0F0F0');
+    ctx.font = `600 38px ${font}`;
+    const [title] = wrapText(ctx, item.title, width - padding * 2, 1);
+    ctx.fillText(title || '', padding, padding);
+
+    ctx.fillStyle = cssVar('--text-secondary', '#B0B0B0');
+    ctx.font = `24px ${font}`;
+    wrapText(ctx, item.description, width - padding * 2, 4).forEach((line, index) => {
+        ctx.fillText(line, padding, padding + 64 + index * 34);
+    });
+
+    // Footer: language dot and name, then stars and forks on the right
+    const footer = height - padding - 24;
+    ctx.fillStyle = item.color;
+    ctx.beginPath();
+    ctx.arc(padding + 8, footer + 12, 8, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = cssVar('--text-secondary', '#B0B0B0');
+    ctx.font = `22px ${font}`;
+    ctx.fillText(item.language || '', padding + 26, footer);
+
+    ctx.textAlign = 'right';
+    ctx.fillText(`★ ${item.stars}   ⑂ ${item.forks}`, width - padding, footer);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.anisotropy = 4;
+    return texture;
+};
+
+// ============================================
+// PROJECT CAROUSEL CLASS
+// ============================================
+class ProjectCarousel {
+    /**
+     * @param {object} sceneManager - Provides scene and camera
+     */
+    constructor({ scene, camera }) {
+        this.camera = camera;
+
+        // The group follows the stage, the ring turns inside it
+        this.group = new THREE.Group();
+        this.ring = new THREE.Group();
+        this.group.add(this.ring);
+        this.group.visible = false;
+        scene.add(this.group);
+
+        this.geometry = new THREE.PlaneGeometry(CAROUSEL_CONFIG.panelWidth, CAROUSEL_CONFIG.panelHeight);
+        this.panels = [];
+        this.radius = 0;
+
+        this.items = [];
+        // Textures by item key, redrawn when the item changes
+        this.textures = new Map();
+
+        this.stage = null;
+        this.active = false;
+        // Unbounded positions in panels, so wrapping keeps turning one way
+        this.focus = 0;
+        this.angle = 0;
+        this.drag = 0;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+    }
+
+    /**
+     * Show the ring over a stage element, or hide it
+     * @param {boolean} active
+     * @param {HTMLElement} [stage]
+     */
+    setActive(active, stage = this.stage) {
+        this.active = active;
+        this.stage = stage;
+    }
+
+    /**
+     * Replace the panel contents, keeping the focused index where possible
+     * @param {object[]} items - { key, title, description, language, color, stars, forks }
+     */
+    setItems(items) {
+        const index = this.getIndex();
+        this.items = items;
+
+        const keys = new Set(items.map(item => item.key));
+        this.textures.forEach(({ texture }, key) => {
+            if (keys.has(key)) return;
+            texture.dispose();
+            this.textures.delete(key);
+        });
+
+        this.buildRing(Math.min(items.length, CAROUSEL_CONFIG.maxPanels));
+        this.setIndex(Math.min(index, Math.max(items.length - 1, 0)), { immediate: true });
+    }
+
+    buildRing(count) {
+        this.panels.forEach(panel => {
+            panel.material.dispose();
+            this.ring.remove(panel);
+        });
+
+        const { panelWidth } = CAROUSEL_CONFIG;
+        const step = count ? (Math.PI * 2) / count : 0;
+
+        // Wide enough that neighbouring panels don't overlap
+        this.radius = count > 1 ? Math.max((panelWidth * 1.15 * count) / (Math.PI * 2), panelWidth * 0.9) : 0;
+        this.ring.position.z = -this.radius;
+
+        this.panels = Array.from({ length: count }, (_, slot) => {
+            // Drawn over the fragments, like the page content it stands in for
+            const panel = new THREE.Mesh(this.geometry, new THREE.MeshBasicMaterial({
+                transparent: true,
+                depthTest: false,
+                fog: false,
+                toneMapped: false
+            }));
+            panel.renderOrder = 1;
+            panel.position.set(Math.sin(slot * step) * this.radius, 0, Math.cos(slot * step) * this.radius);
+            panel.rotation.y = slot * step;
+            panel.userData.index = -1;
+            this.ring.add(panel);
+            return panel;
+        });
+    }
+
+    getTexture(item) {
+        const signature = JSON.stringify(item);
+        const cached = this.textures.get(item.key);
+        if (cached && cached.signature === signature) return cached.texture;
+
+        if (cached) cached.texture.dispose();
+        const texture = createPanelTexture(item);
+        this.textures.set(item.key, { texture, signature });
+        return texture;
+    }
+
+    getIndex() {
+        return this.items.length ? mod(Math.round(this.focus), this.items.length) : 0;
+    }
+
+    /**
+     * Turn an item to the front the short way round
+     */
+    setIndex(index, { immediate = false } = {}) {
+        const count = this.items.length;
+        if (!count) return;
+
+        let delta = mod(index - this.getIndex(), count);
+        if (delta > count / 2) delta -= count;
+
+        this.focus = Math.round(this.focus) + delta;
+        if (immediate || reducedMotion.matches) this.angle = this.focus;
+    }
+
+    /**
+     * Follow a pointer drag
+     * @param {number} offset - Panels dragged, positive toward the previous item
+     */
+    setDrag(offset) {
+        this.drag = offset;
+    }
+
+    /**
+     * Settle on the panel nearest to where the drag let go
+     * @returns {number} The new index
+     */
+    endDrag() {
+        const steps = Math.round(this.drag);
+
+        this.angle -= this.drag;
+        this.focus -= steps;
+        this.drag = 0;
+        if (reducedMotion.matches) this.angle = this.focus;
+
+        return this.getIndex();
+    }
+
+    /**
+     * Item index under a screen point, or -1
+     */
+    pick(clientX, clientY) {
+        if (!this.group.visible) return -1;
+
+        this.pointer.set((clientX / window.innerWidth) * 2 - 1, -(clientY / window.innerHeight) * 2 + 1);
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        const [hit] = this.raycaster.intersectObjects(this.panels, false);
+        return hit ? hit.object.userData.index : -1;
+    }
+
+    /**
+     * Put the group in front of the camera, over the stage's centre, scaled
+     * to the stage. False while the stage is off screen
+     */
+    place() {
+        const rect = this.stage.getBoundingClientRect();
+        if (!rect.height || rect.bottom < 0 || rect.top > window.innerHeight) return false;
+
+        const { distance, fill, panelWidth, panelHeight } = CAROUSEL_CONFIG;
+        const x = ((rect.left + rect.width / 2) / window.innerWidth) * 2 - 1;
+        const y = -((rect.top + rect.height / 2) / window.innerHeight) * 2 + 1;
+
+        this.group.position.set(x, y, 0.5).unproject(this.camera)
+            .sub(this.camera.position)
+            .normalize()
+            .multiplyScalar(distance)
+            .add(this.camera.position);
+        this.group.quaternion.copy(this.camera.quaternion);
+
+        // Size of the stage at that distance
+        const viewHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        const stageHeight = viewHeight * (rect.height / window.innerHeight);
+        const stageWidth = viewHeight * this.camera.aspect * (rect.width / window.innerWidth);
+
+        this.group.scale.setScalar(fill * Math.min(
+            stageHeight / panelHeight,
+            stageWidth / (this.radius * 2 + panelWidth)
+        ));
+        return true;
+    }
+
+    /**
+     * Called every frame from the render loop
+     */
+    update() {
+        this.group.visible = Boolean(this.active && this.stage && this.panels.length && this.place());
+        if (!this.group.visible) return;
+
+        this.angle += (this.focus - this.angle) * (reducedMotion.matches ? 1 : CAROUSEL_CONFIG.ease);
+
+        const count = this.panels.length;
+        const shown = this.angle - this.drag;
+        this.ring.rotation.y = -shown * ((Math.PI * 2) / count);
+
+        this.panels.forEach((panel, slot) => {
+            // The position this slot stands for nearest to the front
+            const position = slot + count * Math.round((shown - slot) / count);
+            const index = mod(position, this.items.length);
+
+            if (panel.userData.index !== index) {
+                panel.userData.index = index;
+                panel.material.map = this.getTexture(this.items[index]);
+                panel.material.needsUpdate = true;
+            }
+
+            const away = Math.min(Math.abs(position - shown) / (count / 2), 1);
+            panel.material.opacity = 1 - away * (1 - CAROUSEL_CONFIG.fade);
+        });
+    }
+
+    dispose() {
+        this.buildRing(0);
+        this.geometry.dispose();
+        this.textures.forEach(({ texture }) => texture.dispose());
+        this.textures.clear();
+        this.group.parent?.remove(this.group);
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export { ProjectCarousel, CAROUSEL_CONFIG };
@@ -0,0 +1,268 @@
+/**
+ * PROJECT DETAIL MODULE
+ * Accessible overlay with a repository's README, topics, language
+ * breakdown, license and recent releases
+ * Loaded on first use so the markdown stack stays out of the main bundle
+ */
+
+import { renderMarkdown } from './markdown.js';
+import { createLanguageBar, getLanguageColor } from './languages.js';
+import { html, safeUrl, setHTML } from './html.js';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+});
+
+// ============================================
+// PROJECT DETAIL CLASS
+// ============================================
+class ProjectDetail {
+    /**
+     * @param {string} elementId - Overlay root from index.html
+     * @param {PortfolioAPI} api - Provides getRepositoryDetails(repo)
+     * @param {object} [options]
+     * @param {Function} [options.onClose] - Called after the overlay closes
+     */
+    constructor(elementId, api, { onClose = null } = {}) {
+        this.element = document.getElementById(elementId);
+        if (!this.element) return;
+
+        this.api = api;
+        this.onClose = onClose;
+        this.repo = null;
+        this.opener = null;
+        this.requestId = 0;
+
+        this.panel = this.element.querySelector('.project-detail__panel');
+        this.readmeEl = this.element.querySelector('.project-detail__readme');
+        this.releasesEl = this.element.querySelector('.project-detail__releases');
+
+        this.onKeydown = this.onKeydown.bind(this);
+        this.init();
+    }
+
+    init() {
+        this.element.addEventListener('click', (event) => {
+            if (event.target.closest('[data-close]')) this.close();
+        });
+    }
+
+    get isOpen() {
+        return !this.element.hidden;
+    }
+
+    /**
+     * Show a normalized repository; focus returns to opener on close
+     */
+    async open(repo, opener = null) {
+        const requestId = ++this.requestId;
+
+        if (!this.isOpen) this.opener = opener || document.activeElement;
+
+        this.repo = repo;
+        this.renderHeader(repo);
+        this.releasesEl.innerHTML = '';
+        this.readmeEl.innerHTML = '<div class="loading__spinner"></div>';
+
+        this.element.hidden = false;
+        this.panel.scrollTop = 0;
+        document.body.classList.add('is-detail-open');
+        document.addEventListener('keydown', this.onKeydown);
+        this.element.querySelector('.project-detail__close').focus();
+
+        gsap.fromTo(this.panel, { opacity: 0, y: 30 }, { opacity: 1, y: 0, duration: 0.4, ease: 'power3.out' });
+
+        try {
+            const { readme, releases } = await this.api.getRepositoryDetails(repo);
+            if (requestId !== this.requestId) return;
+
+            this.renderReleases(releases);
+            this.renderReadme(readme, repo);
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+
+            console.error(`Error loading details for ${repo.fullName}:`, error);
+            this.readmeEl.innerHTML = '';
+            this.readmeEl.append(this.createFallback('The README could not be loaded right now.', repo));
+        }
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.requestId++;
+        this.element.hidden = true;
+        document.body.classList.remove('is-detail-open');
+        document.removeEventListener('keydown', this.onKeydown);
+
+        if (this.opener && this.opener.isConnected) this.opener.focus();
+        this.opener = null;
+        this.repo = null;
+
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Escape closes; Tab cycles inside the dialog
+     */
+    onKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+            return;
+        }
+
+        if (event.key !== 'Tab') return;
+
+        const focusable = [...this.panel.querySelectorAll(FOCUSABLE)];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Text goes through textContent; only the sanitized README is parsed as HTML
+    renderHeader(repo) {
+        const query = (selector) => this.element.querySelector(selector);
+
+        const source = query('.project-detail__source');
+        source.textContent = repo.sourceLabel;
+        source.className = `project__badge project-detail__source project__badge--${repo.source}`;
+
+        query('.project-detail__title').textContent = repo.title || repo.name;
+        query('.project-detail__description').textContent = repo.description;
+
+        const meta = query('.project-detail__meta');
+        meta.innerHTML = '';
+        [
+            ['Language', repo.language],
+            ['License', repo.license || 'None'],
+            ['Stars', repo.stars],
+            ['Forks', repo.forks],
+            ['Updated', repo.lastUpdated]
+        ].forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            const detail = document.createElement('dd');
+            term.textContent = label;
+            detail.textContent = value;
+            meta.append(term, detail);
+        });
+
+        const topics = query('.project-detail__topics');
+        topics.innerHTML = '';
+        (repo.topics || []).forEach(topic => {
+            const tag = document.createElement('span');
+            tag.className = 'project__topic';
+            tag.textContent = `#${topic}`;
+            topics.append(tag);
+        });
+
+        setHTML(query('.project-detail__languages'), this.createLanguageLegend(repo.languages));
+
+        const links = query('.project-detail__links');
+        links.innerHTML = '';
+        links.append(this.createLink(repo.url, `View on ${repo.sourceLabel}`, 'project__link'));
+        if (repo.homepage) {
+            links.append(this.createLink(repo.homepage, 'Live Demo', 'project__link project__link--demo'));
+        }
+    }
+
+    createLanguageLegend(languages) {
+        if (!languages || !languages.length) return html``;
+
+        const items = languages.map(lang => html`
+            <li class="project-detail__language">
+                <span class="language__color" style="background: ${getLanguageColor(lang.name)}"></span>
+                ${lang.name} <span class="project-detail__language-percent">${lang.percent.toFixed(1)}%</span>
+            </li>
+        `);
+
+        return html`${createLanguageBar(languages)}<ul class="project-detail__language-list">${items}</ul>`;
+    }
+
+    renderReleases(releases) {
+        this.releasesEl.innerHTML = '';
+        if (!releases.length) return;
+
+        const heading = document.createElement('h3');
+        heading.className = 'project-detail__heading';
+        heading.textContent = 'Recent Releases';
+
+        const list = document.createElement('ul');
+        list.className = 'project-detail__release-list';
+
+        releases.forEach(release => {
+            const item = document.createElement('li');
+            item.className = 'project-detail__release';
+            item.append(this.createLink(release.url, release.name, 'project-detail__release-name'));
+
+            const info = document.createElement('span');
+            info.className = 'project-detail__release-info';
+            info.textContent = [
+                release.tag !== release.name ? release.tag : null,
+                release.isPrerelease ? 'pre-release' : null,
+                release.publishedAt ? formatDate(release.publishedAt) : null
+            ].filter(Boolean).join(' · ');
+
+            item.append(info);
+            list.append(item);
+        });
+
+        this.releasesEl.append(heading, list);
+    }
+
+    renderReadme(readme, repo) {
+        this.readmeEl.innerHTML = '';
+
+        if (!readme) {
+            this.readmeEl.append(this.createFallback('This repository has no README yet.', repo));
+            return;
+        }
+
+        this.readmeEl.append(renderMarkdown(readme.markdown, readme));
+    }
+
+    createFallback(message, repo) {
+        const text = document.createElement('p');
+        text.className = 'project-detail__empty';
+        text.textContent = `${message} `;
+        text.append(this.createLink(repo.url, `Open on ${repo.sourceLabel}`));
+        return text;
+    }
+
+    /**
+     * Anchor for an http(s) URL; anything else becomes plain text
+     */
+    createLink(href, label, className = '') {
+        const url = safeUrl(href);
+        if (!url) {
+            const text = document.createElement('span');
+            text.className = className;
+            text.textContent = label;
+            return text;
+        }
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.className = className;
+        link.textContent = label;
+        return link;
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export { ProjectDetail };
@@ -0,0 +1,469 @@
+/**
+ * PROJECT FILTER MODULE
+ * Filter chips generated from the portfolio data (languages, topics,
+ * fork/archived status, owners) with any/all matching, per-chip result
+ * counts and an animated grid reflow. A search query narrows and ranks
+ * the chip selection further; sort modes reorder the loaded cards
+ */
+
+import gsap from 'gsap';
+import { Flip } from 'gsap/Flip';
+import { html, setHTML } from './html.js';
+import { searchRepositories, highlightCard } from './project-search.js';
+
+gsap.registerPlugin(Flip);
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const FILTER_CONFIG = {
+    maxLanguages: 8,
+    maxTopics: 10,
+    duration: 0.5
+};
+
+const GROUP_LABELS = {
+    language: 'Language',
+    topic: 'Topic',
+    status: 'Status',
+    owner: 'Owner'
+};
+
+const STATUS_LABELS = {
+    original: 'Original',
+    fork: 'Fork',
+    archived: 'Archived'
+};
+
+// "featured" keeps the portfolio order (featured first, then most recently
+// updated), or the search ranking while a query is active
+const SORT_OPTIONS = {
+    featured: { label: 'Featured', compare: null },
+    stars: { label: 'Most stars', compare: (a, b) => b.stars - a.stars },
+    forks: { label: 'Most forks', compare: (a, b) => b.forks - a.forks },
+    updated: { label: 'Recently updated', compare: (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt) },
+    created: { label: 'Newest', compare: (a, b) => new Date(b.createdAt) - new Date(a.createdAt) },
+    name: {
+        label: 'Name',
+        compare: (a, b) => (a.title || a.name).localeCompare(b.title || b.name, 'en', { sensitivity: 'base' })
+    }
+};
+
+const repositoryKey = (repo) => `${repo.source}:${repo.fullName}`;
+
+// ============================================
+// FACETS
+// ============================================
+
+/**
+ * Values a repository has in each group, lower-cased for matching
+ */
+const getFacets = (repo) => ({
+    language: (repo.languages && repo.languages.length
+        ? repo.languages.map(lang => lang.name)
+        : [repo.language]
+    ).filter(Boolean).map(name => name.toLowerCase()),
+    topic: (repo.topics || []).map(topic => topic.toLowerCase()),
+    status: [
+        repo.isFork ? 'fork' : 'original',
+        ...(repo.isArchived ? ['archived'] : [])
+    ],
+    owner: repo.owner ? [repo.owner.toLowerCase()] : []
+});
+
+/**
+ * Count how many repositories carry each value of a group
+ */
+const countValues = (repositories, group) => {
+    const counts = new Map();
+    repositories.forEach(repo => {
+        getFacets(repo)[group].forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+    return counts;
+};
+
+// ============================================
+// PROJECT FILTER CLASS
+// ============================================
+class ProjectFilter {
+    /**
+     * @param {string} containerId - Element the chip bar renders into
+     * @param {string} gridId - Grid holding .project__card elements with data-key
+     * @param {object} [options]
+     * @param {Function} [options.onChange] - (state, kind) after a visitor changes
+     *   the view; kind is 'search' for query edits, 'filter' otherwise
+     * @param {Function} [options.onApply] - (repositories) with the visible
+     *   repositories in display order, whenever the grid is filtered or sorted
+     */
+    constructor(containerId, gridId, { onChange = null, onApply = null } = {}) {
+        this.container = document.getElementById(containerId);
+        this.grid = document.getElementById(gridId);
+        if (!this.container || !this.grid) return;
+
+        this.onChange = onChange;
+        this.onApply = onApply;
+        this.repositories = [];
+        this.groups = [];
+        // Selected chips as "group:value"
+        this.selected = new Set();
+        this.mode = 'any';
+        this.sort = 'featured';
+        this.query = '';
+        // Search results by repository key, null without a query
+        this.results = null;
+
+        this.init();
+    }
+
+    init() {
+        // Chips are re-rendered with the data, so listen on the container
+        this.container.addEventListener('click', (event) => {
+            const chip = event.target.closest('[data-group]');
+            if (chip) {
+                this.toggle(chip.dataset.group, chip.dataset.value);
+                return;
+            }
+
+            const control = event.target.closest('[data-action]');
+            if (!control) return;
+
+            if (control.dataset.action === 'reset') this.reset();
+            if (control.dataset.action === 'mode') this.setMode(control.dataset.mode);
+        });
+
+        this.container.addEventListener('change', (event) => {
+            if (event.target.dataset.action === 'sort') this.setSort(event.target.value);
+        });
+    }
+
+    /**
+     * Rebuild the chips for a freshly rendered portfolio
+     * Selections that still exist survive a background refresh
+     */
+    update({ repositories, languageStats }) {
+        if (!this.container) return;
+
+        this.repositories = repositories;
+        this.groups = this.buildGroups(repositories, languageStats || []);
+
+        this.selected = this.keepAvailable(this.selected);
+        this.results = this.query ? searchRepositories(repositories, this.query, repositoryKey) : null;
+
+        this.render();
+        this.apply(false);
+    }
+
+    /**
+     * Drop selected chips the current data has no chip for
+     */
+    keepAvailable(selected) {
+        const available = new Set(this.groups.flatMap(group =>
+            group.chips.map(chip => `${group.name}:${chip.value}`)
+        ));
+        return new Set([...selected].filter(key => available.has(key)));
+    }
+
+    /**
+     * Serializable view state, e.g. for the URL
+     * @returns {{ query: string, sort: string, mode: string, selected: string[] }}
+     */
+    getState() {
+        return {
+            query: this.query,
+            sort: this.sort,
+            mode: this.mode,
+            selected: [...this.selected]
+        };
+    }
+
+    /**
+     * Restore a view state from getState(); does not call onChange
+     */
+    setState({ query = '', sort = 'featured', mode = 'any', selected = [] }, { animate = true } = {}) {
+        if (!this.container) return;
+
+        this.query = query;
+        this.sort = SORT_OPTIONS[sort] ? sort : 'featured';
+        this.mode = mode === 'all' ? 'all' : 'any';
+        this.selected = this.keepAvailable(selected);
+        this.results = query ? searchRepositories(this.repositories, query, repositoryKey) : null;
+
+        this.render();
+        this.apply(animate);
+    }
+
+    changed(kind = 'filter') {
+        if (this.onChange) this.onChange(this.getState(), kind);
+    }
+
+    buildGroups(repositories, languageStats) {
+        const languageCounts = countValues(repositories, 'language');
+        const topicCounts = countValues(repositories, 'topic');
+        const statusCounts = countValues(repositories, 'status');
+        const ownerCounts = countValues(repositories, 'owner');
+
+        // Languages in overall byte order, topics by how many repositories use them
+        const languages = languageStats
+            .filter(lang => lang.percent > 0 && languageCounts.has(lang.language.toLowerCase()))
+            .slice(0, FILTER_CONFIG.maxLanguages)
+            .map(lang => ({ value: lang.language.toLowerCase(), label: lang.language }));
+
+        const topics = [...topicCounts.entries()]
+            .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+            .slice(0, FILTER_CONFIG.maxTopics)
+            .map(([topic]) => ({ value: topic, label: `#${topic}` }));
+
+        const statuses = Object.keys(STATUS_LABELS)
+            .filter(status => statusCounts.has(status))
+            .map(status => ({ value: status, label: STATUS_LABELS[status] }));
+
+        const owners = [...ownerCounts.keys()].map(owner => ({
+            value: owner,
+            label: repositories.find(repo => repo.owner && repo.owner.toLowerCase() === owner).owner
+        }));
+
+        // A group with a single choice cannot narrow anything down
+        return [
+            { name: 'language', chips: languages },
+            { name: 'topic', chips: topics },
+            { name: 'status', chips: statuses.length > 1 ? statuses : [] },
+            { name: 'owner', chips: owners.length > 1 ? owners : [] }
+        ].filter(group => group.chips.length);
+    }
+
+    /**
+     * any: a repository needs one selected chip; all: every selected chip
+     * With a search query it also has to be among the results
+     */
+    matches(repo, selection = this.selected) {
+        if (this.results && !this.results.has(repositoryKey(repo))) return false;
+        if (!selection.size) return true;
+
+        const facets = getFacets(repo);
+        const has = (key) => {
+            const [group, ...rest] = key.split(':');
+            return facets[group].includes(rest.join(':'));
+        };
+
+        return this.mode === 'all' ? [...selection].every(has) : [...selection].some(has);
+    }
+
+    /**
+     * Results if this chip were selected on top of the current selection
+     * In "any" mode that is simply how many repositories carry it
+     */
+    countFor(key) {
+        const selection = this.mode === 'all'
+            ? new Set([...this.selected, key])
+            : new Set([key]);
+
+        return this.repositories.filter(repo => this.matches(repo, selection)).length;
+    }
+
+    toggle(group, value) {
+        const key = `${group}:${value}`;
+
+        if (this.selected.has(key)) {
+            this.selected.delete(key);
+        } else {
+            this.selected.add(key);
+        }
+
+        this.render();
+        this.apply();
+        this.changed();
+    }
+
+    reset() {
+        if (!this.selected.size) return;
+
+        this.selected.clear();
+        this.render();
+        this.apply();
+        this.changed();
+    }
+
+    /**
+     * Narrow and rank the cards by a search query ('' clears it)
+     */
+    setSearch(query) {
+        if (!this.container) return;
+
+        this.query = query;
+        this.results = query ? searchRepositories(this.repositories, query, repositoryKey) : null;
+
+        this.render();
+        this.apply();
+        this.changed('search');
+    }
+
+    setSort(sort) {
+        if (sort === this.sort || !SORT_OPTIONS[sort]) return;
+
+        this.sort = sort;
+        this.render();
+        this.apply();
+        this.changed();
+    }
+
+    setMode(mode) {
+        if (mode === this.mode) return;
+
+        this.mode = mode;
+        this.render();
+        this.apply();
+        this.changed();
+    }
+
+    /**
+     * Selector for the focused control, so focus survives a re-render
+     */
+    getFocusSelector() {
+        const focused = document.activeElement;
+        if (!focused || !this.container.contains(focused)) return null;
+
+        const { group, value, action, mode } = focused.dataset;
+        if (group) return `[data-group="${CSS.escape(group)}"][data-value="${CSS.escape(value)}"]`;
+        if (action) return `[data-action="${action}"]${mode ? `[data-mode="${mode}"]` : ''}`;
+        return null;
+    }
+
+    render() {
+        const focusSelector = this.getFocusSelector();
+        const visible = this.repositories.filter(repo => this.matches(repo)).length;
+        const result = this.query
+            ? html`${visible} of ${this.repositories.length} projects match “${this.query}”`
+            : html`${visible} of ${this.repositories.length} projects`;
+
+        const groups = this.groups.map(group => html`
+            <div class="filter__group" role="group" aria-label="${GROUP_LABELS[group.name]}">
+                <span class="filter__group-label">${GROUP_LABELS[group.name]}</span>
+                ${group.chips.map(chip => {
+                    const key = `${group.name}:${chip.value}`;
+                    const active = this.selected.has(key);
+                    const count = this.countFor(key);
+
+                    return html`
+                        <button type="button" class="filter__btn${active ? ' filter__btn--active' : ''}"
+                                data-group="${group.name}" data-value="${chip.value}"
+                                aria-pressed="${String(active)}" ${!active && !count ? 'disabled' : ''}>
+                            ${chip.label} <span class="filter__count">${count}</span>
+                        </button>
+                    `;
+                })}
+            </div>
+        `);
+
+        const sortOptions = Object.entries(SORT_OPTIONS).map(([sort, { label }]) => html`
+            <option value="${sort}" ${sort === this.sort ? 'selected' : ''}>
+                ${sort === 'featured' && this.query ? 'Best match' : label}
+            </option>
+        `);
+
+        const modeButton = (mode, label) => html`
+            <button type="button" class="filter__mode${this.mode === mode ? ' filter__mode--active' : ''}"
+                    data-action="mode" data-mode="${mode}" aria-pressed="${String(this.mode === mode)}">${label}</button>
+        `;
+
+        setHTML(this.container, html`
+            ${groups}
+            <div class="filter__controls">
+                <button type="button" class="filter__btn${this.selected.size ? '' : ' filter__btn--active'}" data-action="reset">All</button>
+                <div class="filter__modes" role="group" aria-label="Match">
+                    ${modeButton('any', 'Match any')}
+                    ${modeButton('all', 'Match all')}
+                </div>
+                <label class="filter__sort">
+                    <span class="filter__group-label">Sort</span>
+                    <select class="filter__select" data-action="sort">${sortOptions}</select>
+                </label>
+                <span class="filter__result" aria-live="polite">${result}</span>
+            </div>
+        `);
+
+        if (focusSelector) {
+            const target = this.container.querySelector(focusSelector);
+            if (target && !target.disabled) target.focus();
+        }
+    }
+
+    /**
+     * Repositories in display order: the chosen sort, else the search rank
+     * while searching, else as loaded. Ties keep the loaded order
+     */
+    orderRepositories(repositories) {
+        const loaded = new Map(this.repositories.map((repo, index) => [repositoryKey(repo), index]));
+        const { compare } = SORT_OPTIONS[this.sort];
+
+        const position = (repo) => {
+            const key = repositoryKey(repo);
+            return this.results && this.results.has(key) ? this.results.get(key).rank : loaded.get(key);
+        };
+
+        return [...repositories].sort((a, b) =>
+            (compare ? compare(a, b) : position(a) - position(b)) ||
+            loaded.get(repositoryKey(a)) - loaded.get(repositoryKey(b))
+        );
+    }
+
+    /**
+     * What every project view shows: the matching repositories in display order
+     */
+    getVisibleRepositories() {
+        return this.orderRepositories(this.repositories.filter(repo => this.matches(repo)));
+    }
+
+    /**
+     * Cards in the same order; cards without a repository (skeletons) go last
+     */
+    orderCards(cards) {
+        const order = new Map(this.orderRepositories(this.repositories)
+            .map((repo, index) => [repositoryKey(repo), index]));
+        const position = (card) => order.has(card.dataset.key) ? order.get(card.dataset.key) : Infinity;
+
+        return [...cards].sort((a, b) => position(a) - position(b));
+    }
+
+    /**
+     * Show, rank and highlight matching cards; Flip animates the reflow from the old layout
+     */
+    apply(animate = true) {
+        const repositories = this.getVisibleRepositories();
+        const visible = new Set(repositories.map(repositoryKey));
+        const cards = [...this.grid.querySelectorAll('.project__card')];
+        const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        const state = animate && !reduceMotion ? Flip.getState(cards) : null;
+
+        cards.forEach(card => {
+            card.style.display = visible.has(card.dataset.key) ? '' : 'none';
+
+            const result = this.results && this.results.get(card.dataset.key);
+            highlightCard(card, result ? result.matches : null);
+        });
+
+        this.orderCards(cards).forEach(card => this.grid.append(card));
+
+        if (this.onApply) this.onApply(repositories);
+
+        if (!state) return;
+
+        Flip.from(state, {
+            duration: FILTER_CONFIG.duration,
+            ease: 'power2.inOut',
+            absolute: true,
+            scale: true,
+            onEnter: elements => gsap.fromTo(elements,
+                { opacity: 0, scale: 0.9 },
+                { opacity: 1, scale: 1, duration: FILTER_CONFIG.duration }
+            ),
+            onLeave: elements => gsap.to(elements,
+                { opacity: 0, scale: 0.9, duration: FILTER_CONFIG.duration }
+            )
+        });
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export { ProjectFilter, repositoryKey };
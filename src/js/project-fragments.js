@@ -0,0 +1,238 @@
+/**
+ * PROJECT FRAGMENTS MODULE
+ * Hands the fragments of one scroll stage to the loaded repositories:
+ * each repository gets a cluster of neighbouring fragments tinted in its
+ * language color, a tooltip on hover and its card on click
+ */
+
+import * as THREE from 'three';
+import { html, setHTML } from './html.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const FRAGMENTS_CONFIG = {
+    // Repositories given a cluster, in the order the projects are shown
+    maxRepositories: 12,
+    // World distance from a fragment's centre that still hovers it
+    hitRadius: 0.3,
+    // Frames between picks while pointer and scroll rest; the shader keeps
+    // the fragments drifting with uTime, so the hover has to follow them
+    restPickFrames: 6,
+    // Tint strength of the hovered cluster and of the others
+    highlight: 1,
+    tint: 0.6,
+    // Page content that keeps the pointer for itself
+    blockers: 'a, button, input, select, textarea, label, [tabindex], .nav, .project__card, .project-detail'
+};
+
+/**
+ * Angle around the Y axis, which orders a ring of fragments
+ */
+const angleOf = ({ x, z }) => Math.atan2(z, x);
+
+// ============================================
+// PROJECT FRAGMENTS CLASS
+// ============================================
+class ProjectFragments {
+    /**
+     * @param {object} fragmentSystem - Provides stageTargets, ready, setTints and getFragmentPosition
+     * @param {object} sceneManager - Provides camera
+     * @param {object} options
+     * @param {number} options.stage - Scroll stage in which fragments stand for repositories
+     * @param {string} [options.tooltipId]
+     * @param {Function} [options.onOpen] - (key) => show the repository's card
+     */
+    constructor(fragmentSystem, { camera }, { stage, tooltipId = 'fragment-tooltip', onOpen = null }) {
+        this.fragmentSystem = fragmentSystem;
+        this.camera = camera;
+        this.stage = stage;
+        this.onOpen = onOpen;
+        this.tooltip = document.getElementById(tooltipId);
+        this.cursor = document.querySelector('.cursor');
+
+        // { key, title, language, color, stars } in display order
+        this.items = [];
+        // The items with a cluster, and per fragment an index into them or -1
+        this.clustered = [];
+        this.owners = [];
+        this.colors = [];
+        this.hovered = -1;
+
+        // Picking waits for the next frame, so fast moves pick once; while
+        // the pointer and the scroll position rest it runs every few frames
+        this.pointerEvent = null;
+        this.picked = null;
+        this.frame = 0;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.position = new THREE.Vector3();
+
+        window.addEventListener('pointermove', (event) => {
+            this.pointerEvent = event;
+        });
+        document.documentElement.addEventListener('pointerleave', () => {
+            this.pointerEvent = null;
+            this.picked = null;
+            this.setHovered(-1);
+        });
+        window.addEventListener('click', (event) => this.onClick(event));
+    }
+
+    /**
+     * Give the fragments to these repositories, the first ones getting
+     * clusters; runs again whenever the shown projects change
+     * @param {object[]} items - { key, title, language, color, stars }
+     */
+    setRepositories(items) {
+        this.items = items;
+
+        // The stage's formation may still be loading
+        this.fragmentSystem.ready.then(() => {
+            if (this.items === items) this.assign();
+        });
+    }
+
+    /**
+     * Split the stage's fragments, ordered by angle around the Y axis, into
+     * one cluster of neighbours per repository
+     */
+    assign() {
+        const targets = this.fragmentSystem.stageTargets[this.stage] || [];
+        const items = this.items.slice(0, FRAGMENTS_CONFIG.maxRepositories);
+
+        const placed = targets
+            .map((target, fragment) => ({ target, fragment }))
+            .filter(({ target }) => target)
+            .sort((a, b) => angleOf(a.target.position) - angleOf(b.target.position));
+
+        this.owners = new Array(targets.length).fill(-1);
+        if (items.length) {
+            placed.forEach(({ fragment }, rank) => {
+                this.owners[fragment] = Math.floor((rank * items.length) / placed.length);
+            });
+        }
+
+        this.clustered = items;
+        this.colors = items.map(item => new THREE.Color(item.color));
+        this.hovered = -1;
+        this.picked = null;
+        this.hideTooltip();
+        this.paint();
+    }
+
+    paint() {
+        this.fragmentSystem.setTints(this.owners.map(owner => (owner === -1 ? null : {
+            color: this.colors[owner],
+            strength: owner === this.hovered ? FRAGMENTS_CONFIG.highlight : FRAGMENTS_CONFIG.tint
+        })), this.stage);
+    }
+
+    /**
+     * Whether the stage is the one in view and has clusters
+     */
+    isActive() {
+        return Math.round(this.fragmentSystem.position) === this.stage && this.colors.length > 0;
+    }
+
+    /**
+     * Index of the clustered item under a pointer event, or -1
+     * InstancedMesh.raycast can't be used: it tests the instance matrices,
+     * which stay identity because the vertex shader places the fragments.
+     * The ray is tested against a sphere around every fragment where the
+     * shader draws it instead
+     */
+    pick(event) {
+        if (!this.isActive() || event.target.closest?.(FRAGMENTS_CONFIG.blockers)) return -1;
+
+        this.pointer.set((event.clientX / window.innerWidth) * 2 - 1, -(event.clientY / window.innerHeight) * 2 + 1);
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        const { ray } = this.raycaster;
+
+        let hit = -1;
+        let nearest = Infinity;
+
+        this.owners.forEach((owner, fragment) => {
+            if (owner === -1) return;
+
+            const scale = this.fragmentSystem.getFragmentPosition(fragment, this.position);
+            const radius = FRAGMENTS_CONFIG.hitRadius * scale;
+            if (scale <= 0 || ray.distanceSqToPoint(this.position) > radius * radius) return;
+
+            const distance = ray.origin.distanceToSquared(this.position);
+            if (distance < nearest) {
+                nearest = distance;
+                hit = owner;
+            }
+        });
+
+        return hit;
+    }
+
+    setHovered(index) {
+        if (index === this.hovered) return;
+
+        this.hovered = index;
+        this.cursor?.classList.toggle('cursor--fragment', index !== -1);
+        if (this.colors.length) this.paint();
+        if (index === -1) this.hideTooltip();
+    }
+
+    showTooltip(item, { clientX, clientY }) {
+        if (!this.tooltip) return;
+
+        if (this.tooltip.dataset.key !== item.key) {
+            this.tooltip.dataset.key = item.key;
+            setHTML(this.tooltip, html`
+                <strong class="fragment-tooltip__title">${item.title}</strong>
+                <span class="fragment-tooltip__meta">
+                    <span class="tech-tag__dot" style="background: ${item.color}"></span>${item.language || 'Other'}
+                    <span>★ ${item.stars}</span>
+                </span>
+            `);
+        }
+
+        this.tooltip.style.left = `${clientX}px`;
+        this.tooltip.style.top = `${clientY}px`;
+        this.tooltip.hidden = false;
+    }
+
+    hideTooltip() {
+        if (!this.tooltip) return;
+
+        this.tooltip.hidden = true;
+        delete this.tooltip.dataset.key;
+    }
+
+    onClick(event) {
+        const index = this.pick(event);
+        if (index !== -1 && this.onOpen) this.onOpen(this.clustered[index].key);
+    }
+
+    /**
+     * Called every frame from the render loop; picks at once when the
+     * pointer or the scroll position changed since the last pick, and
+     * every restPickFrames frames otherwise
+     */
+    update() {
+        const event = this.pointerEvent;
+        if (!event) return;
+
+        this.frame++;
+        const { position } = this.fragmentSystem;
+        const { picked } = this;
+        if (picked && picked.event === event && picked.position === position &&
+            this.frame - picked.frame < FRAGMENTS_CONFIG.restPickFrames) return;
+
+        this.picked = { event, position, frame: this.frame };
+        const index = this.pick(event);
+        this.setHovered(index);
+        if (index !== -1) this.showTooltip(this.clustered[index], event);
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export { ProjectFragments, FRAGMENTS_CONFIG };
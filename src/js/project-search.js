@@ -0,0 +1,327 @@
+/**
+ * PROJECT SEARCH MODULE
+ * Fuzzy full-text search over repository names, descriptions, topics and
+ * languages, with ranked results and match highlighting inside the cards
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const SEARCH_CONFIG = {
+    debounce: 120,
+    // A fuzzy match may spread over at most this many characters per query character
+    maxSpread: 3
+};
+
+// Matches in the name rank above the same match in a description
+const FIELD_WEIGHTS = {
+    name: 4,
+    topic: 3,
+    language: 3,
+    description: 1
+};
+
+const SCORES = {
+    char: 1,
+    consecutive: 4,
+    wordStart: 3,
+    textStart: 6,
+    substring: 8,
+    exact: 12,
+    gap: -0.5
+};
+
+const WORD_BREAK = /[\s\-_./#:]/;
+
+// ============================================
+// FUZZY MATCHING
+// ============================================
+const isWordStart = (text, index) =>
+    index === 0 ||
+    WORD_BREAK.test(text[index - 1]) ||
+    (/[a-z]/.test(text[index - 1]) && /[A-Z]/.test(text[index]));
+
+/**
+ * Score a set of matched character positions
+ */
+const scoreIndices = (text, indices) => {
+    let score = 0;
+
+    indices.forEach((index, position) => {
+        score += SCORES.char;
+        if (isWordStart(text, index)) score += SCORES.wordStart;
+
+        if (position > 0) {
+            const gap = index - indices[position - 1] - 1;
+            score += gap === 0 ? SCORES.consecutive : gap * SCORES.gap;
+        }
+    });
+
+    if (indices[0] === 0) score += SCORES.textStart;
+    return score;
+};
+
+/**
+ * Match one lower-case token against a text
+ * A contiguous substring wins (the earliest word-start occurrence first);
+ * otherwise the characters must appear in order, within a limited spread
+ * @returns {{score: number, indices: number[]}|null}
+ */
+const fuzzyMatch = (token, text) => {
+    if (!token || !text) return null;
+
+    const lower = text.toLowerCase();
+    const range = (start) => Array.from({ length: token.length }, (_, i) => start + i);
+
+    if (lower === token) {
+        return { score: scoreIndices(text, range(0)) + SCORES.exact, indices: range(0) };
+    }
+
+    let best = null;
+    for (let start = lower.indexOf(token); start !== -1; start = lower.indexOf(token, start + 1)) {
+        const indices = range(start);
+        const score = scoreIndices(text, indices) + SCORES.substring;
+        if (!best || score > best.score) best = { score, indices };
+    }
+    if (best) return best;
+
+    // Subsequence: the nearest position for each character
+    const indices = [];
+    let from = 0;
+    for (const char of token) {
+        const index = lower.indexOf(char, from);
+        if (index === -1) return null;
+        indices.push(index);
+        from = index + 1;
+    }
+
+    const spread = indices[indices.length - 1] - indices[0] + 1;
+    if (spread > token.length * SEARCH_CONFIG.maxSpread) return null;
+
+    return { score: scoreIndices(text, indices), indices };
+};
+
+// ============================================
+// REPOSITORY SEARCH
+// ============================================
+
+/**
+ * Searchable text of a repository, as { field, value } pairs
+ */
+const getSearchFields = (repo) => {
+    const languages = repo.languages && repo.languages.length
+        ? repo.languages.map(lang => lang.name)
+        : [repo.language];
+
+    return [
+        { field: 'name', value: repo.title || repo.name },
+        ...(repo.title && repo.title !== repo.name ? [{ field: 'name', value: repo.name }] : []),
+        { field: 'description', value: repo.description },
+        ...(repo.topics || []).map(topic => ({ field: 'topic', value: topic })),
+        ...languages.map(name => ({ field: 'language', value: name }))
+    ].filter(entry => entry.value);
+};
+
+const tokenize = (query) => query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+/**
+ * Rank repositories against a query; every word of the query has to match
+ * somewhere. Result matches map "field:value" to the positions to highlight
+ * @param {Array} repositories - Normalized repositories
+ * @param {string} query
+ * @param {Function} getKey - Repository -> key
+ * @returns {Map<string, {score: number, rank: number, matches: Map<string, Set<number>>}>}
+ */
+const searchRepositories = (repositories, query, getKey) => {
+    const tokens = tokenize(query);
+    const scored = [];
+
+    repositories.forEach((repo, index) => {
+        const fields = getSearchFields(repo);
+        const matches = new Map();
+        let score = 0;
+
+        const found = tokens.every(token => {
+            const candidates = fields
+                .map(({ field, value }) => ({ field, value, match: fuzzyMatch(token, value) }))
+                .filter(candidate => candidate.match);
+
+            if (!candidates.length) return false;
+
+            const weighted = (candidate) => candidate.match.score * FIELD_WEIGHTS[candidate.field];
+            const best = candidates.reduce((a, b) => (weighted(b) > weighted(a) ? b : a));
+            score += weighted(best);
+
+            // Highlight every field the word matched, not only the best one
+            candidates.forEach(({ field, value, match }) => {
+                const key = `${field}:${value}`;
+                if (!matches.has(key)) matches.set(key, new Set());
+                match.indices.forEach(i => matches.get(key).add(i));
+            });
+
+            return true;
+        });
+
+        if (found) scored.push({ key: getKey(repo), score, index, matches });
+    });
+
+    scored.sort((a, b) => b.score - a.score || a.index - b.index);
+
+    return new Map(scored.map(({ key, score, matches }, rank) => [key, { score, rank, matches }]));
+};
+
+// ============================================
+// HIGHLIGHTING
+// ============================================
+
+/**
+ * Wrap matched characters of an element's text in <mark>
+ * Built from text nodes, so repository text is never parsed as HTML
+ */
+const highlightElement = (element, indices, offset = 0) => {
+    if (element.dataset.searchText === undefined) {
+        element.dataset.searchText = element.textContent;
+    }
+
+    const text = element.dataset.searchText;
+    element.textContent = '';
+
+    if (!indices || !indices.size) {
+        element.textContent = text;
+        return;
+    }
+
+    let run = '';
+    let marked = false;
+    const flush = () => {
+        if (!run) return;
+        if (marked) {
+            const mark = document.createElement('mark');
+            mark.className = 'search__mark';
+            mark.textContent = run;
+            element.append(mark);
+        } else {
+            element.append(document.createTextNode(run));
+        }
+        run = '';
+    };
+
+    // Indices are UTF-16 positions, like the ones indexOf() returned
+    for (let index = 0; index < text.length; index++) {
+        const isMatch = indices.has(index - offset);
+        if (isMatch !== marked) {
+            flush();
+            marked = isMatch;
+        }
+        run += text[index];
+    }
+    flush();
+};
+
+/**
+ * Highlight a card's searchable elements (data-search="field" data-search-value="value")
+ * @param {Element} card
+ * @param {Map<string, Set<number>>|null} matches - null clears highlighting
+ */
+const highlightCard = (card, matches) => {
+    card.querySelectorAll('[data-search]').forEach(element => {
+        const { search: field, searchValue: value } = element.dataset;
+        // Topic tags render as "#topic"
+        const offset = field === 'topic' ? 1 : 0;
+
+        highlightElement(element, matches ? matches.get(`${field}:${value}`) : null, offset);
+    });
+};
+
+// ============================================
+// PROJECT SEARCH CLASS
+// ============================================
+class ProjectSearch {
+    /**
+     * @param {string} inputId - Search input; "/" focuses it from anywhere on the page
+     * @param {Function} onSearch - Called with the (debounced) query
+     */
+    constructor(inputId, onSearch) {
+        this.input = document.getElementById(inputId);
+        if (!this.input) return;
+
+        this.onSearch = onSearch;
+        this.query = '';
+        this.timer = null;
+
+        this.init();
+    }
+
+    init() {
+        // Browsers restore field values on back navigation
+        if (this.input.value.trim()) this.setQuery(this.input.value);
+
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.setQuery(this.input.value), SEARCH_CONFIG.debounce);
+        });
+
+        this.input.addEventListener('keydown', (event) => {
+            if (event.key !== 'Escape') return;
+
+            if (this.input.value) {
+                this.clear();
+            } else {
+                this.input.blur();
+            }
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (event.key !== '/' || event.ctrlKey || event.metaKey || event.altKey) return;
+            if (this.isTyping(event.target)) return;
+
+            event.preventDefault();
+            this.focus();
+        });
+    }
+
+    /**
+     * Don't steal "/" from fields, editable content or an open dialog
+     */
+    isTyping(target) {
+        return target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]') ||
+            document.body.classList.contains('is-detail-open');
+    }
+
+    focus() {
+        this.input.focus({ preventScroll: true });
+        this.input.select();
+        this.input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    setQuery(value) {
+        clearTimeout(this.timer);
+
+        const query = value.trim();
+        if (query === this.query) return;
+
+        this.query = query;
+        this.onSearch(query);
+    }
+
+    clear() {
+        this.input.value = '';
+        this.setQuery('');
+    }
+
+    /**
+     * Show a restored query without calling onSearch
+     */
+    setValue(query) {
+        if (!this.input) return;
+
+        clearTimeout(this.timer);
+        this.input.value = query;
+        this.query = query.trim();
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export { ProjectSearch, searchRepositories, highlightCard, fuzzyMatch };
@@ -0,0 +1,434 @@
+/**
+ * PROJECT VIEWS MODULE
+ * Alternate layouts for the filtered projects: the card grid, a compact
+ * list, a timeline from creation to last update and a 3D carousel. Every
+ * view renders the repositories ProjectFilter currently shows, in its order
+ */
+
+import { html, safeUrl, setHTML } from './html.js';
+import { repositoryKey } from './project-filter.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const VIEW_CONFIG = {
+    storageKey: 'portfolio_project_view',
+    // Narrowest timeline bar, in percent of the whole range
+    minSpan: 1.5,
+    // Pixels of drag that turn the carousel by one panel
+    dragStep: 160
+};
+
+// The carousel is only offered once a ProjectCarousel is set
+const VIEWS = {
+    grid: 'Grid',
+    list: 'List',
+    timeline: 'Timeline',
+    carousel: '3D'
+};
+
+const formatMonth = (date) => date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+
+const readView = () => {
+    try {
+        return localStorage.getItem(VIEW_CONFIG.storageKey);
+    } catch {
+        return null;
+    }
+};
+
+const storeView = (view) => {
+    try {
+        localStorage.setItem(VIEW_CONFIG.storageKey, view);
+    } catch {
+        // Private mode or storage disabled: the choice lasts for this visit
+    }
+};
+
+// ============================================
+// TIMELINE
+// ============================================
+
+/**
+ * Repositories grouped by the year they were created, oldest first, each
+ * with its active span relative to the whole timeline
+ */
+const buildTimeline = (repositories) => {
+    const entries = repositories
+        .map(repo => {
+            const created = new Date(repo.createdAt);
+            const updated = new Date(repo.updatedAt || repo.createdAt);
+            return { repo, created, updated: updated < created ? created : updated };
+        })
+        .filter(entry => !Number.isNaN(entry.created.getTime()))
+        .sort((a, b) => a.created - b.created || a.updated - b.updated);
+
+    if (!entries.length) return [];
+
+    const start = entries[0].created.getTime();
+    const range = Math.max(Math.max(...entries.map(entry => entry.updated.getTime())) - start, 1);
+
+    const years = new Map();
+    entries.forEach(entry => {
+        const year = entry.created.getFullYear();
+        if (!years.has(year)) years.set(year, []);
+
+        years.get(year).push({
+            ...entry,
+            offset: ((entry.created - start) / range) * 100,
+            span: Math.max(((entry.updated - entry.created) / range) * 100, VIEW_CONFIG.minSpan)
+        });
+    });
+
+    return [...years].map(([year, items]) => ({ year, items }));
+};
+
+// ============================================
+// PROJECT VIEWS CLASS
+// ============================================
+class ProjectViews {
+    /**
+     * @param {string} containerId - Element the view switcher renders into
+     * @param {object} options
+     * @param {string} options.gridId - Card grid, also used by the list view
+     * @param {string} options.timelineId - Container for the timeline view
+     * @param {string} options.carouselId - Carousel controls with a .carousel__stage
+     * @param {Function} options.getColor - (repo) language color
+     * @param {Function} options.onOpen - (key, opener) opens a project's details
+     */
+    constructor(containerId, { gridId, timelineId, carouselId, getColor, onOpen }) {
+        this.container = document.getElementById(containerId);
+        this.grid = document.getElementById(gridId);
+        if (!this.container || !this.grid) return;
+
+        this.timeline = document.getElementById(timelineId);
+        this.carouselElement = document.getElementById(carouselId);
+        this.stage = this.carouselElement && this.carouselElement.querySelector('.carousel__stage');
+        this.getColor = getColor;
+        this.onOpen = onOpen;
+
+        this.carousel = null;
+        // Visible repositories in display order, null until data arrives
+        this.repositories = null;
+        // Carousel position by key, so it survives filtering and sorting
+        this.currentKey = null;
+        this.view = readView() || 'grid';
+
+        this.init();
+    }
+
+    init() {
+        this.container.addEventListener('click', (event) => {
+            const btn = event.target.closest('[data-view]');
+            if (btn) this.setView(btn.dataset.view);
+        });
+
+        // Details buttons in the timeline and the carousel caption
+        [this.timeline, this.carouselElement].filter(Boolean).forEach(element => {
+            element.addEventListener('click', (event) => {
+                const btn = event.target.closest('[data-details]');
+                if (btn) this.onOpen(btn.dataset.details, btn);
+            });
+        });
+
+        if (this.carouselElement) this.initCarouselControls();
+
+        this.render();
+        this.layout();
+    }
+
+    // ============================================
+    // VIEW SWITCHING
+    // ============================================
+    getViews() {
+        return Object.keys(VIEWS).filter(view => view !== 'carousel' || (this.carousel && this.stage));
+    }
+
+    /**
+     * Register the 3D carousel, which enables the carousel view
+     * @param {ProjectCarousel} carousel
+     */
+    setCarousel(carousel) {
+        if (!this.container) return;
+
+        this.carousel = carousel;
+        this.render();
+        this.layout();
+    }
+
+    setView(view) {
+        if (!this.getViews().includes(view) || view === this.view) return;
+
+        this.view = view;
+        storeView(view);
+
+        this.render();
+        this.layout();
+    }
+
+    /**
+     * The view in effect: a stored carousel falls back to the grid without WebGL
+     */
+    getView() {
+        return this.getViews().includes(this.view) ? this.view : 'grid';
+    }
+
+    render() {
+        const current = this.getView();
+
+        setHTML(this.container, html`
+            ${this.getViews().map(view => html`
+                <button type="button" class="view__btn${view === current ? ' view__btn--active' : ''}"
+                        data-view="${view}" aria-pressed="${String(view === current)}">${VIEWS[view]}</button>
+            `)}
+        `);
+    }
+
+    /**
+     * Show the container of the current view and fill it
+     * The grid stays up until data arrives, so skeletons and errors show in every view
+     */
+    layout() {
+        const view = this.getView();
+        const loaded = this.repositories !== null;
+
+        this.grid.classList.toggle('projects__grid--list', view === 'list');
+        this.grid.hidden = loaded && (view === 'timeline' || view === 'carousel');
+        if (this.timeline) this.timeline.hidden = !loaded || view !== 'timeline';
+        if (this.carouselElement) this.carouselElement.hidden = !loaded || view !== 'carousel';
+        if (this.carousel) this.carousel.setActive(loaded && view === 'carousel', this.stage);
+
+        if (!loaded) return;
+        if (view === 'timeline') this.renderTimeline();
+        if (view === 'carousel') this.renderCarousel();
+    }
+
+    /**
+     * New visible repositories from ProjectFilter
+     * @param {object[]} repositories - Filtered and sorted
+     */
+    update(repositories) {
+        if (!this.container) return;
+
+        this.repositories = repositories;
+        this.layout();
+    }
+
+    /**
+     * Bring a project into the current view
+     * @returns {HTMLElement|null} Element to scroll to, containing its details button
+     */
+    reveal(key) {
+        if (!this.container || !this.repositories) return null;
+
+        const view = this.getView();
+
+        if (view === 'timeline') {
+            return this.timeline.querySelector(`[data-key="${CSS.escape(key)}"]`);
+        }
+
+        if (view === 'carousel') {
+            const index = this.repositories.findIndex(repo => repositoryKey(repo) === key);
+            if (index === -1) return null;
+
+            this.showIndex(index);
+            return this.carouselElement;
+        }
+
+        const card = this.grid.querySelector(`.project__card[data-key="${CSS.escape(key)}"]`);
+        return card && card.style.display !== 'none' ? card : null;
+    }
+
+    // ============================================
+    // TIMELINE VIEW
+    // ============================================
+    renderTimeline() {
+        const years = buildTimeline(this.repositories);
+
+        if (!years.length) {
+            setHTML(this.timeline, html`<p class="timeline__empty">No projects match.</p>`);
+            return;
+        }
+
+        setHTML(this.timeline, html`
+            <ol class="timeline">
+                ${years.map(({ year, items }) => html`
+                    <li class="timeline__year">
+                        <h3 class="timeline__year-label">${year}</h3>
+                        <ol class="timeline__items">
+                            ${items.map(item => this.createTimelineItem(item))}
+                        </ol>
+                    </li>
+                `)}
+            </ol>
+        `);
+    }
+
+    createTimelineItem({ repo, created, updated, offset, span }) {
+        const key = repositoryKey(repo);
+        const title = repo.title || repo.name;
+        const period = `${formatMonth(created)} – ${formatMonth(updated)}`;
+
+        return html`
+            <li class="timeline__item" data-key="${key}">
+                <time class="timeline__date" datetime="${repo.createdAt}">${formatMonth(created)}</time>
+                <div class="timeline__body">
+                    <h4 class="timeline__title">
+                        <a href="${safeUrl(repo.url) || '#'}" target="_blank" rel="noopener">${title}</a>
+                    </h4>
+                    ${repo.description && html`<p class="timeline__description">${repo.description}</p>`}
+                    <div class="timeline__span" role="img" aria-label="Active ${period}">
+                        <span class="timeline__bar"
+                              style="--tag-color: ${this.getColor(repo)}; left: ${offset}%; width: ${Math.min(span, 100 - offset)}%"></span>
+                    </div>
+                    <div class="timeline__meta">
+                        <span class="timeline__language">
+                            <span class="tech-tag__dot" style="background: ${this.getColor(repo)}"></span>${repo.language}
+                        </span>
+                        <span>Updated ${formatMonth(updated)}</span>
+                        <button type="button" class="project__link project__link--details" data-details="${key}" aria-haspopup="dialog">Details</button>
+                    </div>
+                </div>
+            </li>
+        `;
+    }
+
+    // ============================================
+    // CAROUSEL VIEW
+    // ============================================
+    initCarouselControls() {
+        this.carouselElement.addEventListener('click', (event) => {
+            const btn = event.target.closest('[data-step]');
+            if (btn) this.step(Number(btn.dataset.step));
+        });
+
+        if (!this.stage) return;
+
+        this.stage.addEventListener('keydown', (event) => {
+            if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+                event.preventDefault();
+                this.step(event.key === 'ArrowLeft' ? -1 : 1);
+            } else if (event.key === 'Enter' && this.currentKey) {
+                this.onOpen(this.currentKey, this.stage);
+            }
+        });
+
+        // Drag to turn the ring; a click picks the panel under the pointer
+        let drag = null;
+
+        this.stage.addEventListener('pointerdown', (event) => {
+            if (!this.carousel) return;
+
+            drag = { x: event.clientX, moved: false };
+            this.stage.setPointerCapture(event.pointerId);
+        });
+
+        this.stage.addEventListener('pointermove', (event) => {
+            if (!drag) return;
+
+            const distance = event.clientX - drag.x;
+            if (Math.abs(distance) > 5) drag.moved = true;
+            if (drag.moved) this.carousel.setDrag(distance / VIEW_CONFIG.dragStep);
+        });
+
+        const release = (event) => {
+            if (!drag) return;
+
+            const { moved } = drag;
+            drag = null;
+
+            if (moved) {
+                this.showIndex(this.carousel.endDrag());
+                return;
+            }
+
+            if (event.type !== 'pointerup') return;
+
+            const index = this.carousel.pick(event.clientX, event.clientY);
+            if (index === -1) return;
+
+            const key = repositoryKey(this.repositories[index]);
+            if (key === this.currentKey) {
+                this.onOpen(key, this.stage);
+            } else {
+                this.showIndex(index);
+            }
+        };
+
+        this.stage.addEventListener('pointerup', release);
+        this.stage.addEventListener('pointercancel', release);
+    }
+
+    getIndex() {
+        const index = this.repositories.findIndex(repo => repositoryKey(repo) === this.currentKey);
+        return Math.max(index, 0);
+    }
+
+    step(direction) {
+        if (!this.repositories || !this.repositories.length) return;
+
+        const count = this.repositories.length;
+        this.showIndex((this.getIndex() + direction + count) % count);
+    }
+
+    showIndex(index) {
+        const repo = this.repositories[index];
+        this.currentKey = repo ? repositoryKey(repo) : null;
+
+        if (this.carousel) this.carousel.setIndex(index);
+        this.renderCaption();
+    }
+
+    renderCarousel() {
+        const index = this.getIndex();
+        const repo = this.repositories[index];
+        this.currentKey = repo ? repositoryKey(repo) : null;
+
+        if (this.carousel) {
+            this.carousel.setItems(this.repositories.map(item => ({
+                key: repositoryKey(item),
+                title: item.title || item.name,
+                description: item.description,
+                language: item.language,
+                color: this.getColor(item),
+                stars: item.stars,
+                forks: item.forks
+            })));
+            this.carousel.setIndex(index, { immediate: true });
+        }
+
+        this.renderCaption();
+    }
+
+    renderCaption() {
+        const caption = this.carouselElement.querySelector('.carousel__caption');
+        const count = this.repositories.length;
+        const repo = count ? this.repositories[this.getIndex()] : null;
+
+        this.carouselElement.querySelectorAll('[data-step]').forEach(btn => {
+            btn.disabled = count < 2;
+        });
+
+        if (!repo) {
+            setHTML(caption, html`<p class="timeline__empty">No projects match.</p>`);
+            return;
+        }
+
+        const position = (number) => String(number).padStart(2, '0');
+
+        setHTML(caption, html`
+            <span class="carousel__count">${position(this.getIndex() + 1)} / ${position(count)}</span>
+            <h3 class="carousel__title">${repo.title || repo.name}</h3>
+            ${repo.description && html`<p class="carousel__description">${repo.description}</p>`}
+            <div class="carousel__actions">
+                <button type="button" class="project__link project__link--details" data-details="${repositoryKey(repo)}" aria-haspopup="dialog">Details</button>
+                <a href="${safeUrl(repo.url) || '#'}" target="_blank" rel="noopener" class="project__link">View Code</a>
+            </div>
+        `);
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export { ProjectViews };
@@ -0,0 +1,709 @@
+/**
+ * REPOSITORY PROVIDER MODULE
+ * Common interface implemented by every code hosting adapter
+ * (GitHub, GitLab, ...) so their data can be merged into one portfolio
+ */
+
+import { Cache } from './cache.js';
+import {
+    normalizeManifest,
+    isHidden,
+    sortByFeatured,
+    applyManifest,
+    EMPTY_MANIFEST
+} from './portfolio-manifest.js';
+
+// ============================================
+// ERRORS
+// ============================================
+class ApiError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+class RateLimitError extends ApiError {
+    /**
+     * @param {Date|null} resetAt - When the provider accepts requests again
+     */
+    constructor(message, status, resetAt) {
+        super(message, status);
+        this.name = 'RateLimitError';
+        this.resetAt = resetAt;
+    }
+}
+
+/**
+ * The request got no response: offline, DNS or CORS failure, or a timeout
+ */
+class NetworkError extends ApiError {
+    constructor(message) {
+        super(message);
+        this.name = 'NetworkError';
+    }
+}
+
+// ============================================
+// REQUEST DEFAULTS
+// ============================================
+const REQUEST_DEFAULTS = {
+    timeout: 10000, // Abort a request after 10s
+    retries: 2, // Extra attempts for 5xx and network failures
+    retryDelay: 500, // Base backoff delay in ms
+    maxRetryDelay: 8000,
+    staleDuration: 7 * 24 * 60 * 60 * 1000 // Keep ETags and last known data for 7 days
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================
+// LANGUAGE HELPERS
+// ============================================
+
+/**
+ * Turn a { language: bytes } map into a sorted breakdown with shares
+ * Falls back to the primary language when no sizes are known
+ */
+const buildLanguageBreakdown = (sizes, primaryLanguage) => {
+    const entries = Object.entries(sizes || {})
+        .filter(([, bytes]) => bytes > 0)
+        .sort(([, a], [, b]) => b - a);
+
+    if (!entries.length) {
+        return primaryLanguage ? [{ name: primaryLanguage, bytes: 0, percent: 100 }] : [];
+    }
+
+    const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+
+    return entries.map(([name, bytes]) => ({
+        name,
+        bytes,
+        percent: (bytes / total) * 100
+    }));
+};
+
+/**
+ * Aggregate language usage across normalized repositories, weighted by bytes
+ * Uses repository counts instead when no byte sizes are known at all
+ */
+const computeLanguageStats = (repositories) => {
+    const stats = {};
+
+    repositories.forEach(repo => {
+        repo.languages.forEach(({ name, bytes }) => {
+            stats[name] = stats[name] || { language: name, bytes: 0, count: 0 };
+            stats[name].bytes += bytes || 0;
+            stats[name].count += 1;
+        });
+    });
+
+    const entries = Object.values(stats);
+    const totalBytes = entries.reduce((sum, s) => sum + s.bytes, 0);
+    const totalCount = entries.reduce((sum, s) => sum + s.count, 0);
+
+    return entries
+        .map(s => ({
+            ...s,
+            percent: totalBytes
+                ? (s.bytes / totalBytes) * 100
+                : (s.count / totalCount) * 100
+        }))
+        .sort((a, b) => b.percent - a.percent || b.count - a.count);
+};
+
+// ============================================
+// STATS HELPERS
+// ============================================
+
+/**
+ * Count repositories, stars and forks per group (e.g. per owner or source)
+ */
+const summarizeRepositories = (repositories, groupBy) => {
+    const groups = new Map();
+
+    repositories.forEach(repo => {
+        const key = groupBy(repo);
+        const group = groups.get(key) || { key, repos: 0, stars: 0, forks: 0 };
+
+        group.repos += 1;
+        group.stars += repo.stars || 0;
+        group.forks += repo.forks || 0;
+        groups.set(key, group);
+    });
+
+    return [...groups.values()].sort((a, b) => b.repos - a.repos || b.stars - a.stars);
+};
+
+// ============================================
+// PROVIDER BASE CLASS
+// ============================================
+class RepositoryProvider {
+    /**
+     * @param {object} config - Adapter configuration (username, apiBaseUrl, token, ...)
+     * @param {string} source - Machine name stored on every repository (e.g. 'github')
+     * @param {string} label - Human readable name used in badges and errors
+     */
+    constructor(config, source, label) {
+        this.config = config;
+        this.source = source;
+        this.label = label;
+        this.headers = {};
+        this.requestConfig = { ...REQUEST_DEFAULTS, ...config };
+        this.rateLimit = null;
+        this.manifest = EMPTY_MANIFEST;
+        // Selected repositories read from the listing so far, see readListing()
+        this.listing = null;
+        this.listingQueue = Promise.resolve();
+    }
+
+    /**
+     * Use a curated portfolio manifest (see portfolio-manifest.js)
+     */
+    setManifest(manifest) {
+        this.manifest = normalizeManifest(manifest);
+        return this;
+    }
+
+    /**
+     * Fetch a JSON resource relative to the configured API base URL
+     * GET requests are revalidated with stored ETags, 5xx and network
+     * failures are retried with jittered backoff
+     * @param {object} [options] - fetch options; responseType: 'text' skips JSON
+     * parsing, withHeaders: ['X-Total'] resolves { data, headers } instead of the body
+     */
+    async request(path, { responseType = 'json', withHeaders = [], ...options } = {}) {
+        const { retries, staleDuration } = this.requestConfig;
+        const url = `${this.config.apiBaseUrl}${path}`;
+        const isGet = !options.method || options.method === 'GET';
+        const etagKey = `${this.source}_etag_${path}`;
+        const stored = isGet ? await Cache.get(etagKey, staleDuration) : null;
+
+        this.assertWithinRateLimit();
+
+        for (let attempt = 0; ; attempt++) {
+            let response;
+
+            try {
+                response = await this.fetchWithTimeout(url, {
+                    ...options,
+                    headers: {
+                        ...this.headers,
+                        ...(stored && { 'If-None-Match': stored.etag }),
+                        ...options.headers
+                    }
+                });
+            } catch (error) {
+                if (attempt < retries) {
+                    await this.backoff(attempt);
+                    continue;
+                }
+                throw error;
+            }
+
+            this.readRateLimit(response);
+
+            // Not modified: the stored body is still current and the request was free
+            if (response.status === 304 && stored) {
+                await Cache.set(etagKey, stored);
+                return stored.data;
+            }
+
+            if (this.isRateLimited(response)) {
+                const resetAt = this.getResetTime(response);
+                throw new RateLimitError(
+                    `${this.label} API rate limit exceeded`,
+                    response.status,
+                    resetAt
+                );
+            }
+
+            if (response.status >= 500 && attempt < retries) {
+                await this.backoff(attempt, this.getRetryAfter(response));
+                continue;
+            }
+
+            if (!response.ok) {
+                throw new ApiError(`${this.label} API error: ${response.status}`, response.status);
+            }
+
+            const body = responseType === 'text' ? await response.text() : await response.json();
+            const data = withHeaders.length
+                ? { data: body, headers: Object.fromEntries(withHeaders.map(name => [name, response.headers.get(name)])) }
+                : body;
+            const etag = response.headers.get('ETag');
+
+            if (isGet && etag) {
+                await Cache.set(etagKey, { etag, data });
+            }
+
+            return data;
+        }
+    }
+
+    /**
+     * fetch() that aborts after requestConfig.timeout milliseconds
+     */
+    async fetchWithTimeout(url, options) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.requestConfig.timeout);
+
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new NetworkError(`${this.label} API timeout after ${this.requestConfig.timeout}ms`);
+            }
+            throw new NetworkError(`${this.label} API unreachable: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Wait before the next attempt: exponential with full jitter,
+     * or the server's Retry-After when it sent one
+     */
+    async backoff(attempt, retryAfter = null) {
+        const { retryDelay, maxRetryDelay } = this.requestConfig;
+        const delay = retryAfter !== null
+            ? retryAfter
+            : Math.min(maxRetryDelay, retryDelay * 2 ** attempt) * (0.5 + Math.random() * 0.5);
+
+        await sleep(delay);
+    }
+
+    /**
+     * Track X-RateLimit-* (GitHub) or RateLimit-* (GitLab) headers
+     */
+    readRateLimit(response) {
+        const header = (name) =>
+            response.headers.get(`X-RateLimit-${name}`) ?? response.headers.get(`RateLimit-${name}`);
+
+        const remaining = header('Remaining');
+        if (remaining === null) return;
+
+        const reset = header('Reset');
+        this.rateLimit = {
+            limit: Number(header('Limit')),
+            remaining: Number(remaining),
+            resetAt: reset ? new Date(Number(reset) * 1000) : null
+        };
+    }
+
+    /**
+     * 403/429 responses caused by an exhausted quota or a secondary limit
+     */
+    isRateLimited(response) {
+        if (response.status !== 403 && response.status !== 429) return false;
+
+        return response.status === 429 ||
+            response.headers.get('Retry-After') !== null ||
+            (this.rateLimit !== null && this.rateLimit.remaining === 0);
+    }
+
+    /**
+     * Retry-After in milliseconds, or null when absent
+     */
+    getRetryAfter(response) {
+        const retryAfter = response.headers.get('Retry-After');
+        if (retryAfter === null) return null;
+
+        const seconds = Number(retryAfter);
+        return Number.isNaN(seconds)
+            ? Math.max(0, new Date(retryAfter) - Date.now())
+            : seconds * 1000;
+    }
+
+    getResetTime(response) {
+        const retryAfter = this.getRetryAfter(response);
+        if (retryAfter !== null) return new Date(Date.now() + retryAfter);
+
+        return this.rateLimit ? this.rateLimit.resetAt : null;
+    }
+
+    /**
+     * Skip the network entirely while a known quota is exhausted
+     */
+    assertWithinRateLimit() {
+        if (!this.rateLimit || this.rateLimit.remaining > 0 || !this.rateLimit.resetAt) return;
+
+        if (this.rateLimit.resetAt > new Date()) {
+            throw new RateLimitError(
+                `${this.label} API rate limit exceeded`,
+                403,
+                this.rateLimit.resetAt
+            );
+        }
+
+        this.rateLimit = null;
+    }
+
+    /**
+     * Return a cached value or load and cache it
+     * Errors propagate so rate limits reach withLastKnownData(); stale
+     * fallbacks happen once, at the portfolio level
+     */
+    async cached(key, loader, maxAge = this.config.cacheDuration) {
+        const cacheKey = `${this.source}_${key}`;
+        const cached = await Cache.get(cacheKey, maxAge);
+
+        if (cached) return cached;
+
+        return Cache.revalidate(cacheKey, loader);
+    }
+
+    /**
+     * Fetch the raw user profile
+     */
+    async getUserProfile() {
+        throw new Error(`${this.label} provider must implement getUserProfile()`);
+    }
+
+    /**
+     * Fetch the first page of selected repositories
+     * @returns {Promise<{ repos: object[], hasMore: boolean }>}
+     */
+    async getUserRepositories() {
+        throw new Error(`${this.label} provider must implement getUserRepositories()`);
+    }
+
+    /**
+     * Fetch one page of the raw repository listing, most recently updated first
+     * @returns {Promise<{ repos: object[], hasMore: boolean }>}
+     */
+    async fetchListingPage() {
+        throw new Error(`${this.label} provider must implement fetchListingPage()`);
+    }
+
+    /**
+     * Attach language data to raw repositories before they are normalized
+     */
+    async attachLanguages(repos) {
+        return repos;
+    }
+
+    /**
+     * Map items through an async function with at most
+     * config.concurrency requests in flight
+     */
+    async mapConcurrent(items, mapper) {
+        const results = new Array(items.length);
+        const limit = Math.max(1, this.config.concurrency || 4);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await mapper(items[index], index);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+        return results;
+    }
+
+    /**
+     * Get byte-weighted language statistics from normalized repositories
+     */
+    getLanguageStats(repositories) {
+        return computeLanguageStats(repositories);
+    }
+
+    /**
+     * Name and full name of a raw repository, used for manifest lookups
+     */
+    identify() {
+        throw new Error(`${this.label} provider must implement identify()`);
+    }
+
+    /**
+     * Accounts covered by this provider, used in cache keys
+     */
+    getAccountKey() {
+        return this.config.username;
+    }
+
+    /**
+     * Full name of the repository a raw repository was forked from, or null
+     */
+    getUpstream() {
+        return null;
+    }
+
+    /**
+     * Forks share their upstream's key, everything else uses its own full name
+     */
+    getDedupeKey(repo) {
+        return (this.getUpstream(repo) || this.identify(repo).fullName).toLowerCase();
+    }
+
+    /**
+     * Keep one repository per upstream: the upstream itself when listed,
+     * otherwise the first fork (lists arrive most recently updated first)
+     */
+    dedupeForks(repos) {
+        const byUpstream = new Map();
+
+        repos.forEach(repo => {
+            const upstream = this.getUpstream(repo);
+            const key = this.getDedupeKey(repo);
+            const kept = byUpstream.get(key);
+
+            if (!kept || (!upstream && this.getUpstream(kept))) {
+                byUpstream.set(key, repo);
+            }
+        });
+
+        const keep = new Set(byUpstream.values());
+        return repos.filter(repo => keep.has(repo));
+    }
+
+    /**
+     * Apply config filters and the manifest, drop duplicate forks and put
+     * featured repositories first. Callers cap the result afterwards, so
+     * hidden or excluded repositories never use up a slot
+     * @param {object[]} repos - Raw repositories
+     * @param {Set<string>} [seen] - Upstream keys already selected from earlier pages
+     */
+    selectRepositories(repos, seen = new Set()) {
+        const visible = this.dedupeForks(
+            this.filterRepositories(repos)
+                .filter(repo => !isHidden(this.manifest, this.identify(repo)))
+        ).filter(repo => !seen.has(this.getDedupeKey(repo)));
+
+        visible.forEach(repo => seen.add(this.getDedupeKey(repo)));
+
+        return sortByFeatured(visible, this.manifest, repo => this.identify(repo));
+    }
+
+    // ============================================
+    // PAGINATION
+    // ============================================
+
+    /**
+     * Selected raw repositories [offset, offset + count), reading further
+     * listing pages only when the ones read so far run out. Featured
+     * repositories come first within each listing page
+     * Reads are queued so concurrent calls never walk the same page twice
+     * @returns {Promise<{ repos: object[], hasMore: boolean }>}
+     */
+    readListing(offset, count) {
+        const read = async () => {
+            // The first page starts a fresh walk, later pages continue it
+            if (!this.listing || offset === 0) {
+                this.listing = { page: 0, repos: [], seen: new Set(), complete: false };
+            }
+
+            const listing = this.listing;
+            const end = offset + count;
+
+            while (listing.repos.length < end && !listing.complete) {
+                const { repos, hasMore } = await this.fetchListingPage(listing.page + 1);
+
+                listing.page++;
+                listing.complete = !hasMore;
+                listing.repos.push(...this.selectRepositories(repos, listing.seen));
+            }
+
+            return {
+                repos: listing.repos.slice(offset, end),
+                hasMore: listing.repos.length > end || !listing.complete
+            };
+        };
+
+        const result = this.listingQueue.then(read);
+        this.listingQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Selected repositories [offset, offset + count) with their languages
+     * @returns {Promise<{ repos: object[], hasMore: boolean }>}
+     */
+    async fetchRepositories(offset, count) {
+        const { repos, hasMore } = await this.readListing(offset, count);
+        return { repos: await this.attachLanguages(repos), hasMore };
+    }
+
+    /**
+     * Cursor of the page after `repos`, or null when the listing is done
+     * It counts selected repositories in this provider's own listing order,
+     * which the merged, re-sorted portfolio can't be used to recover
+     */
+    nextCursor(offset, repos, hasMore) {
+        return hasMore ? offset + repos.length : null;
+    }
+
+    /**
+     * Next normalized repositories, for "load more"
+     * @param {number} cursor - As returned with the previous page
+     * @param {number} [count]
+     * @returns {Promise<{ repositories: object[], cursor: number|null }>}
+     */
+    async getMoreRepositories(cursor, count = this.config.maxRepos) {
+        try {
+            const { repos, hasMore } = await this.fetchRepositories(cursor, count);
+            return {
+                repositories: this.normalizeRepositories(repos),
+                cursor: this.nextCursor(cursor, repos, hasMore)
+            };
+        } catch (error) {
+            console.error(`Error loading more ${this.label} repositories:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * README and recent releases of a normalized repository, for the
+     * detail view. Providers without support return neither
+     * @returns {Promise<{ readme: object|null, releases: object[] }>}
+     */
+    async getRepositoryDetails() {
+        return { readme: null, releases: [] };
+    }
+
+    /**
+     * Map a raw profile onto the normalized profile shape
+     */
+    normalizeProfile() {
+        throw new Error(`${this.label} provider must implement normalizeProfile()`);
+    }
+
+    /**
+     * Map a raw repository onto the normalized repository shape
+     */
+    enrichRepositoryData() {
+        throw new Error(`${this.label} provider must implement enrichRepositoryData()`);
+    }
+
+    /**
+     * Fetch all portfolio data for this provider in one call
+     * cursor is where getMoreRepositories() continues, null when there is no more
+     */
+    async fetchPortfolioData() {
+        return this.withLastKnownData(async () => {
+            try {
+                const [rawProfile, { repos, hasMore }] = await Promise.all([
+                    this.getUserProfile(),
+                    this.getUserRepositories()
+                ]);
+
+                return {
+                    ...this.buildPortfolio(rawProfile, repos),
+                    cursor: this.nextCursor(0, repos, hasMore)
+                };
+            } catch (error) {
+                console.error(`Error fetching ${this.label} portfolio data:`, error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Remember every successful portfolio and serve it, flagged as stale,
+     * when the provider is rate-limited
+     */
+    async withLastKnownData(loader) {
+        const key = `${this.source}_portfolio_${this.getAccountKey()}`;
+
+        try {
+            const portfolio = await loader();
+            await Cache.set(key, { portfolio, fetchedAt: Date.now() });
+            return portfolio;
+        } catch (error) {
+            const lastKnown = error instanceof RateLimitError
+                ? await Cache.get(key, this.requestConfig.staleDuration)
+                : null;
+
+            if (!lastKnown) throw error;
+
+            console.warn(`${this.label} rate limited, serving data from ${new Date(lastKnown.fetchedAt).toISOString()}`);
+
+            return {
+                ...lastKnown.portfolio,
+                stale: {
+                    source: this.source,
+                    label: this.label,
+                    asOf: new Date(lastKnown.fetchedAt),
+                    resetAt: error.resetAt
+                }
+            };
+        }
+    }
+
+    /**
+     * Enrich raw repositories, then layer the manifest overrides on top
+     */
+    normalizeRepositories(rawRepos) {
+        return rawRepos
+            .map(repo => this.enrichRepositoryData(repo))
+            .map(repo => applyManifest(repo, this.manifest));
+    }
+
+    /**
+     * Normalize raw profile and repositories into the portfolio shape
+     */
+    buildPortfolio(rawProfile, rawRepos) {
+        const profile = this.normalizeProfile(rawProfile);
+        const repositories = this.normalizeRepositories(rawRepos);
+
+        // Get language statistics
+        const languageStats = this.getLanguageStats(repositories);
+
+        // Calculate statistics
+        const stats = {
+            totalRepos: profile.publicRepos ?? repositories.length,
+            totalStars: repositories.reduce((sum, r) => sum + r.stars, 0),
+            totalForks: repositories.reduce((sum, r) => sum + r.forks, 0),
+            followers: profile.followers,
+            following: profile.following,
+            accountAge: this.calculateAccountAge(profile.createdAt),
+            byOwner: summarizeRepositories(repositories, repo => repo.owner)
+        };
+
+        return {
+            profile,
+            repositories,
+            languageStats,
+            stats
+        };
+    }
+
+    /**
+     * Calculate account age in years
+     */
+    calculateAccountAge(createdAt) {
+        if (!createdAt) return 0;
+
+        const created = new Date(createdAt);
+        const now = new Date();
+        const years = Math.floor((now - created) / (365.25 * 24 * 60 * 60 * 1000));
+        return years;
+    }
+
+    /**
+     * Format an ISO date for display on cards
+     */
+    formatDate(date) {
+        return new Date(date).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export {
+    RepositoryProvider,
+    ApiError,
+    RateLimitError,
+    NetworkError,
+    buildLanguageBreakdown,
+    computeLanguageStats,
+    summarizeRepositories
+};
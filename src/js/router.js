@@ -0,0 +1,164 @@
+/**
+ * ROUTER MODULE
+ * Hash routes for page sections (#/projects), deep links to a single
+ * project (#/projects/<repo-name>) and view state kept in the route's
+ * query string (#/projects?q=three&sort=stars)
+ */
+
+// ============================================
+// ROUTE PARSING
+// ============================================
+
+/**
+ * Decode one path segment; a malformed escape ("%E0") stays as typed
+ */
+const decodeSegment = (segment) => {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+};
+
+/**
+ * "#/projects/porto-with-glm?q=three" -> { section, path, params }
+ * Plain anchors ("#projects") are read as a section
+ */
+const parseRoute = (hash) => {
+    const [path = '', query = ''] = hash.replace(/^#\/?/, '').split('?');
+    const [section = '', ...rest] = path.split('/').filter(Boolean).map(decodeSegment);
+
+    return {
+        section,
+        path: rest.length ? rest.join('/') : null,
+        params: new URLSearchParams(query)
+    };
+};
+
+const formatRoute = ({ section = '', path = null, params = null }) => {
+    const segments = [section, ...(path ? path.split('/') : [])]
+        .filter(Boolean)
+        .map(encodeURIComponent);
+    const query = params ? params.toString() : '';
+
+    return `#/${segments.join('/')}${query ? `?${query}` : ''}`;
+};
+
+// ============================================
+// ROUTER CLASS
+// ============================================
+class Router {
+    /**
+     * @param {object} options
+     * @param {Function} options.scrollTo - (element or offset, { immediate }) => void, e.g. Lenis
+     */
+    constructor({ scrollTo }) {
+        this.scrollTo = scrollTo;
+        this.handlers = new Map();
+        this.route = parseRoute(window.location.hash);
+        this.previous = null;
+        this.started = false;
+    }
+
+    /**
+     * Handle a section's routes and take over scrolling for that section
+     * handler(route, { source, previous }) may return a promise; source is
+     * 'load', 'link' (in-page anchor), 'history' (back/forward) or 'navigate'
+     * Register handlers before start() so the first URL reaches them
+     */
+    on(section, handler) {
+        this.handlers.set(section, handler);
+        return this;
+    }
+
+    /**
+     * Resolve the current URL, then follow back/forward and in-page links
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        // The router restores positions itself
+        if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+
+        window.addEventListener('popstate', () => {
+            this.setRoute(parseRoute(window.location.hash));
+            this.resolve('history');
+        });
+
+        document.addEventListener('click', (event) => {
+            const link = event.target.closest('a[href^="#"]');
+            if (!link || event.defaultPrevented || event.button !== 0 ||
+                event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+            const route = parseRoute(link.getAttribute('href'));
+            if (!route.section || !document.getElementById(route.section)) return;
+
+            event.preventDefault();
+            this.navigate(route, { source: 'link' });
+        });
+
+        this.resolve('load');
+    }
+
+    /**
+     * Go to a route and handle it
+     * @param {object} route - { section, path, params }
+     * @param {object} [options]
+     * @param {boolean} [options.replace] - Replace the history entry instead of adding one
+     * @param {boolean} [options.silent] - Only update the URL; the caller already shows the route
+     * @param {string} [options.source] - Passed on to the handler
+     */
+    navigate(route, { replace = false, silent = false, source = 'navigate' } = {}) {
+        const next = { section: route.section, path: route.path || null, params: route.params || new URLSearchParams() };
+        const url = formatRoute(next);
+
+        if (url !== window.location.hash) {
+            history[replace ? 'replaceState' : 'pushState'](null, '', url);
+        }
+
+        this.setRoute(next);
+        if (!silent) this.resolve(source);
+    }
+
+    setRoute(route) {
+        this.previous = this.route;
+        this.route = route;
+    }
+
+    /**
+     * Hand the route to its section handler, or just scroll to the section
+     * An empty route is the top of the page
+     */
+    resolve(source) {
+        const { section } = this.route;
+        const handler = this.handlers.get(section);
+        const immediate = source === 'load';
+
+        if (handler) {
+            // Handlers run from event listeners, so nothing upstream would catch a failure
+            const fail = (error) => console.error(`Error handling route #/${section}:`, error);
+
+            try {
+                return Promise.resolve(handler(this.route, { source, previous: this.previous })).catch(fail);
+            } catch (error) {
+                fail(error);
+                return null;
+            }
+        }
+
+        if (!section) {
+            if (!immediate) this.scrollTo(0, { immediate });
+            return null;
+        }
+
+        const target = document.getElementById(section);
+        if (target) this.scrollTo(target, { immediate });
+        return null;
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export { Router, parseRoute, formatRoute };
@@ -0,0 +1,322 @@
+/**
+ * SHAPE SAMPLER MODULE
+ * Turns a flat shape (text in a font, an SVG path or an image's alpha
+ * mask) into evenly spread target points over its area and outline, and
+ * hands those targets to fragments so the total travel stays small
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const SAMPLER_CONFIG = {
+    // Longer side of the SVG and image rasters, in pixels
+    resolution: 256,
+    // Alpha from which a pixel belongs to the shape
+    alphaThreshold: 128,
+    // Share of the points placed on the outline, the rest fill the area
+    edgeShare: 0.3,
+    // Pixels considered per point set; larger shapes are thinned out
+    maxCandidates: 6000,
+    // Improvement passes over the fragment-target assignment
+    swapPasses: 4,
+    // Fragments, in order along the widest axis, each one may swap with
+    swapWindow: 128
+};
+
+const createCanvas = (width, height) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(Math.ceil(width), 1);
+    canvas.height = Math.max(Math.ceil(height), 1);
+    return canvas;
+};
+
+// ============================================
+// RASTERIZERS
+// ============================================
+
+/**
+ * Text in a CSS font; "\n" starts a new line
+ * Waits for web fonts, so the shape uses the font the page shows
+ */
+const rasterizeText = async ({ text, font = '700 200px sans-serif' }) => {
+    if (document.fonts) await document.fonts.load(font, text);
+
+    const lines = String(text).split('\n');
+    const measure = createCanvas(1, 1).getContext('2d');
+    measure.font = font;
+
+    const metrics = lines.map(line => measure.measureText(line));
+    const ascent = Math.max(...metrics.map(m => m.actualBoundingBoxAscent));
+    const descent = Math.max(...metrics.map(m => m.actualBoundingBoxDescent));
+    const lineHeight = ascent + descent;
+    const padding = lineHeight * 0.1;
+
+    const canvas = createCanvas(
+        Math.max(...metrics.map(m => m.width)) + padding * 2,
+        lineHeight * lines.length + padding * 2
+    );
+    const ctx = canvas.getContext('2d');
+    ctx.font = font;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = '#fff';
+
+    lines.forEach((line, index) => {
+        ctx.fillText(line, canvas.width / 2, padding + ascent + index * lineHeight);
+    });
+
+    return canvas;
+};
+
+/**
+ * SVG path data, e.g. copied from an icon's d attribute
+ * viewBox: "minX minY width height" or an array, as on the <svg> element
+ */
+const rasterizeSVG = ({ path, viewBox = [0, 0, 24, 24], fillRule = 'nonzero' }) => {
+    const [minX, minY, width, height] = typeof viewBox === 'string'
+        ? viewBox.trim().split(/[\s,]+/).map(Number)
+        : viewBox;
+    const scale = SAMPLER_CONFIG.resolution / Math.max(width, height);
+
+    const canvas = createCanvas(width * scale, height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(scale, 0, 0, scale, -minX * scale, -minY * scale);
+    ctx.fillStyle = '#fff';
+    ctx.fill(new Path2D(path), fillRule);
+
+    return canvas;
+};
+
+/**
+ * An image whose opaque pixels form the shape (PNG or SVG with transparency)
+ */
+const rasterizeImage = async ({ src }) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.src = src;
+    await image.decode();
+
+    const scale = SAMPLER_CONFIG.resolution / Math.max(image.naturalWidth, image.naturalHeight);
+    const canvas = createCanvas(image.naturalWidth * scale, image.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return canvas;
+};
+
+const RASTERIZERS = {
+    text: rasterizeText,
+    svg: rasterizeSVG,
+    image: rasterizeImage
+};
+
+// ============================================
+// SAMPLING
+// ============================================
+
+/**
+ * Inside pixels split into outline and area candidates, thinned to
+ * maxCandidates each
+ */
+const findCandidates = (canvas, threshold) => {
+    const { width, height } = canvas;
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+    const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height &&
+        data[(y * width + x) * 4 + 3] >= threshold;
+
+    const edge = [];
+    const area = [];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!inside(x, y)) continue;
+
+            const outline = !inside(x - 1, y) || !inside(x + 1, y) || !inside(x, y - 1) || !inside(x, y + 1);
+            (outline ? edge : area).push([x + 0.5, y + 0.5]);
+        }
+    }
+
+    const thin = (points) => {
+        const stride = Math.ceil(points.length / SAMPLER_CONFIG.maxCandidates);
+        return stride > 1 ? points.filter((_, index) => index % stride === 0) : points;
+    };
+
+    return { edge: thin(edge), area: thin(area) };
+};
+
+/**
+ * Farthest-point sampling: each pick is the candidate furthest from every
+ * point picked so far (and from the seeds), which spreads points evenly
+ */
+const farthestPoints = (candidates, count, seeds = []) => {
+    const distances = new Float64Array(candidates.length).fill(Infinity);
+    const picked = [];
+
+    const visit = ([x, y]) => {
+        let next = -1;
+        let furthest = -1;
+
+        candidates.forEach(([cx, cy], index) => {
+            const distance = (cx - x) ** 2 + (cy - y) ** 2;
+            if (distance < distances[index]) distances[index] = distance;
+            if (distances[index] > furthest) {
+                furthest = distances[index];
+                next = index;
+            }
+        });
+
+        return next;
+    };
+
+    let next = 0;
+    seeds.forEach(seed => {
+        next = visit(seed);
+    });
+
+    while (picked.length < Math.min(count, candidates.length)) {
+        const point = candidates[next];
+        picked.push(point);
+        next = visit(point);
+    }
+
+    return picked;
+};
+
+/**
+ * Sample a shape into count points, centered on the origin in the XY plane
+ * Small shapes can yield fewer points than asked for; a shape without any
+ * opaque pixels rejects, so the formation falls back like any failed one
+ * @param {object} source - { type: 'text', text, font } | { type: 'svg', path, viewBox, fillRule }
+ *   | { type: 'image', src }; any of them may set threshold (0-255 alpha)
+ * @param {number} count
+ * @param {object} [options]
+ * @param {number} [options.size=4] - World width or height of the shape, whichever is longer
+ * @param {number} [options.depth=0.3] - Random depth around z = 0
+ * @param {number} [options.edgeShare] - Share of the points on the outline
+ * @returns {Promise<{ x: number, y: number, z: number }[]>}
+ */
+const sampleShape = async (source, count, { size = 4, depth = 0.3, edgeShare = SAMPLER_CONFIG.edgeShare } = {}) => {
+    const rasterize = RASTERIZERS[source.type];
+    if (!rasterize) throw new Error(`Unknown shape type "${source.type}"`);
+
+    const canvas = await rasterize(source);
+    const { edge, area } = findCandidates(canvas, source.threshold ?? SAMPLER_CONFIG.alphaThreshold);
+
+    // Blank text, an empty path or a fully transparent image leaves nothing to fit
+    if (!edge.length) throw new Error(`No opaque pixels in the ${source.type} shape`);
+
+    // Outline first; the area then fills the space the outline leaves
+    const outline = farthestPoints(edge, Math.round(count * edgeShare));
+    const fill = farthestPoints(area, count - outline.length, outline);
+    const points = [...outline, ...fill];
+
+    // Thin shapes have more outline than area
+    if (points.length < count) {
+        const used = new Set(outline);
+        points.push(...farthestPoints(edge.filter(point => !used.has(point)), count - points.length, points));
+    }
+
+    // Fit the outline's bounds, not the canvas, so padding doesn't offset the shape
+    const xs = edge.map(([x]) => x);
+    const ys = edge.map(([, y]) => y);
+    const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    const scale = size / Math.max(maxX - minX, maxY - minY, 1);
+
+    return points.map(([x, y]) => ({
+        x: (x - (minX + maxX) / 2) * scale,
+        y: ((minY + maxY) / 2 - y) * scale,
+        z: (Math.random() - 0.5) * depth
+    }));
+};
+
+// ============================================
+// ASSIGNMENT
+// ============================================
+
+/**
+ * Point indices sorted along the axis the points spread furthest on,
+ * which keeps neighbours in the order close in space
+ */
+const byWidestAxis = (points) => {
+    const spread = (axis) => {
+        const values = points.map(point => point[axis]);
+        return Math.max(...values) - Math.min(...values);
+    };
+    const axis = ['x', 'y', 'z'].reduce((widest, next) => (spread(next) > spread(widest) ? next : widest));
+
+    return points.map((_, index) => index).sort((a, b) => points[a][axis] - points[b][axis]);
+};
+
+/**
+ * Give each target to a fragment so the summed travel is small: a greedy
+ * nearest-free pass, then pairwise swaps while they shorten the paths
+ * Swaps are only tried between fragments that start close together, so a
+ * pass stays near linear; paths that cross mostly start close anyway
+ * With more fragments than targets the furthest fragments are left over
+ * @param {{ x, y, z }[]} from - Fragment start positions
+ * @param {{ x, y, z }[]} targets
+ * @returns {number[]} Target index per fragment, -1 for leftovers
+ */
+const assignTargets = (from, targets) => {
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+    const cost = (fragment, target) => target === -1 ? 0 : distance(from[fragment], targets[target]);
+
+    const assigned = new Array(from.length).fill(-1);
+
+    targets.forEach((target, index) => {
+        let nearest = -1;
+        let best = Infinity;
+
+        from.forEach((position, fragment) => {
+            if (assigned[fragment] !== -1) return;
+
+            const travel = distance(position, target);
+            if (travel < best) {
+                best = travel;
+                nearest = fragment;
+            }
+        });
+
+        if (nearest !== -1) assigned[nearest] = index;
+    });
+
+    // Swapping two targets (or a target and a leftover) that cross paths;
+    // each fragment's current travel is kept, so a check costs two distances
+    const travel = assigned.map((target, fragment) => cost(fragment, target));
+    const order = byWidestAxis(from);
+
+    for (let pass = 0; pass < SAMPLER_CONFIG.swapPasses; pass++) {
+        let improved = false;
+
+        for (let i = 0; i < order.length; i++) {
+            const a = order[i];
+            const end = Math.min(i + 1 + SAMPLER_CONFIG.swapWindow, order.length);
+
+            for (let j = i + 1; j < end; j++) {
+                const b = order[j];
+                const ta = assigned[a];
+                const tb = assigned[b];
+                if (ta === tb) continue;
+
+                const swappedA = cost(a, tb);
+                const swappedB = cost(b, ta);
+
+                if (swappedA + swappedB < travel[a] + travel[b] - 1e-9) {
+                    assigned[a] = tb;
+                    assigned[b] = ta;
+                    travel[a] = swappedA;
+                    travel[b] = swappedB;
+                    improved = true;
+                }
+            }
+        }
+
+        if (!improved) break;
+    }
+
+    return assigned;
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export { sampleShape, assignTargets, SAMPLER_CONFIG };
@@ -0,0 +1,112 @@
+/**
+ * SKILLS MODULE
+ * Normalizes src/data/skills.json and backs each skill with evidence
+ * from the loaded repositories: language bytes, repository counts and
+ * the repositories themselves
+ */
+
+// ============================================
+// NORMALIZATION
+// ============================================
+const LAYOUTS = ['cards', 'compact'];
+
+const HEX_COLOR = /^#[0-9a-f]{3,8}$/i;
+
+const lowerAll = (values) => (values || []).map(value => String(value).toLowerCase());
+
+/**
+ * Fill in defaults and drop anything the renderer can't trust
+ * Skill fields: name, color, level (0-100, self-rated), languages
+ * (GitHub language names), topics, repositories (names or full names)
+ */
+const normalizeSkills = (data) => {
+    const weight = Number(data?.evidence?.weight);
+
+    const categories = (data?.categories || []).map(category => ({
+        title: category.title || '',
+        layout: LAYOUTS.includes(category.layout) ? category.layout : 'cards',
+        skills: (category.skills || []).filter(skill => skill && skill.name).map(skill => ({
+            name: skill.name,
+            color: HEX_COLOR.test(skill.color) ? skill.color : null,
+            level: Number.isFinite(skill.level) ? Math.min(Math.max(skill.level, 0), 100) : null,
+            languages: skill.languages || [],
+            topics: lowerAll(skill.topics),
+            // Repositories named in skills.json, lower-cased
+            listed: lowerAll(skill.repositories)
+        }))
+    }));
+
+    return {
+        // Share of the shown level that comes from evidence, 0 keeps the self-rating
+        weight: Number.isFinite(weight) ? Math.min(Math.max(weight, 0), 1) : 0,
+        categories
+    };
+};
+
+// ============================================
+// EVIDENCE
+// ============================================
+
+/**
+ * Does a repository use the skill: one of its languages, one of its
+ * topics, or listed by name
+ */
+const usesSkill = (skill, repo) =>
+    (repo.languages || []).some(lang => skill.languages.includes(lang.name)) ||
+    (repo.topics || []).some(topic => skill.topics.includes(topic.toLowerCase())) ||
+    [repo.name, repo.fullName].some(key => key && skill.listed.includes(key.toLowerCase()));
+
+/**
+ * 0-100 evidence score, relative to the most used language:
+ * the mean of its byte share and its repository share
+ * Skills that name no languages or topics have no evidence
+ */
+const scoreEvidence = (skill, repoCount, languageStats) => {
+    if (!skill.languages.length && !skill.topics.length) return null;
+
+    const top = languageStats[0];
+    const repoShare = top ? Math.min(repoCount / top.count, 1) : 0;
+
+    const bytes = languageStats
+        .filter(lang => skill.languages.includes(lang.language))
+        .reduce((sum, lang) => sum + lang.bytes, 0);
+
+    // Providers without byte counts (and topic-only skills) rank by repositories alone
+    if (!skill.languages.length || !top || !top.bytes) return repoShare * 100;
+
+    return ((Math.min(bytes / top.bytes, 1) + repoShare) / 2) * 100;
+};
+
+/**
+ * Skills with the repositories that use them and a blended level
+ * @param {object} skills - normalizeSkills() output
+ * @param {object[]} repositories - Loaded repositories; none means self-rated only
+ * @param {object[]} languageStats - computeLanguageStats() of those repositories
+ * @returns {object[]} Categories whose skills carry repositories, evidence and shownLevel
+ */
+const computeSkillEvidence = (skills, repositories = [], languageStats = []) =>
+    skills.categories.map(category => ({
+        ...category,
+        skills: category.skills.map(skill => {
+            const used = repositories
+                .filter(repo => usesSkill(skill, repo))
+                .sort((a, b) => b.stars - a.stars || new Date(b.updatedAt) - new Date(a.updatedAt));
+
+            const evidence = repositories.length ? scoreEvidence(skill, used.length, languageStats) : null;
+            const blended = skill.level !== null && evidence !== null
+                ? skill.level * (1 - skills.weight) + evidence * skills.weight
+                : skill.level;
+
+            return {
+                ...skill,
+                repositories: used,
+                evidence,
+                shownLevel: blended === null ? null : Math.round(blended)
+            };
+        })
+    }));
+
+// ============================================
+// EXPORT
+// ============================================
+export { normalizeSkills, computeSkillEvidence };
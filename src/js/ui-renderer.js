@@ -3,58 +3,85 @@
  * Handles dynamic rendering of GitHub repositories and UI updates
  */
 
-import { GitHubAPI, GITHUB_CONFIG } from './github-api.js';
+import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { createPortfolioAPI } from './portfolio-api.js';
+import { computeLanguageStats, ApiError, RateLimitError, NetworkError } from './repository-provider.js';
+import { html, safeUrl, setHTML, appendHTML } from './html.js';
+import { getLanguageColor, createLanguageBar } from './languages.js';
+import { ProjectFilter, repositoryKey } from './project-filter.js';
+import { ProjectSearch } from './project-search.js';
+import { ProjectViews } from './project-views.js';
+import { parseRoute, formatRoute } from './router.js';
+import { normalizeSkills, computeSkillEvidence } from './skills.js';
+import { resolveProfile, renderProfile, getRepositoriesUrl } from './profile.js';
+import { setCount } from './counter.js';
+import { isOnline, onReconnect } from './connectivity.js';
+import portfolioManifest from '../data/portfolio.json';
+import skillsData from '../data/skills.json';
+import profileOverrides from '../data/profile.json';
+import portfolioSnapshot from 'virtual:portfolio-snapshot';
 
 // ============================================
 // PROJECT CARD TEMPLATE
 // ============================================
 const createProjectCard = (repo, index) => {
-    const languageColors = {
-        'TypeScript': '#3178C6',
-        'JavaScript': '#F7DF1E',
-        'Vue': '#4FC08D',
-        'HTML': '#E34F26',
-        'CSS': '#1572B6',
-        'Python': '#3776AB',
-        'Java': '#007396',
-        'Go': '#00ADD8',
-        'Rust': '#DEA584',
-        'Other': '#8B949E'
-    };
-
-    const languageColor = languageColors[repo.language] || languageColors['Other'];
+    const languageColor = getLanguageColor(repo.language);
     const formattedIndex = String(index + 1).padStart(2, '0');
 
     // Generate topics tags
     const topicsHtml = repo.topics && repo.topics.length > 0
         ? repo.topics.slice(0, 3).map(topic =>
-            `<span class="project__topic">#${topic}</span>`
-        ).join('')
-        : '';
-
-    return `
-        <article class="project__card" data-language="${repo.language.toLowerCase()}" data-index="${index}">
+            html`<span class="project__topic" data-search="topic" data-search-value="${topic}">#${topic}</span>`
+        )
+        : null;
+
+    const title = repo.title || repo.name;
+
+    // Links are dropped unless they are http(s)
+    const url = safeUrl(repo.url) || '#';
+    const homepage = safeUrl(repo.homepage);
+    const screenshot = repo.screenshots && repo.screenshots.length > 0 ? safeUrl(repo.screenshots[0]) : null;
+
+    // Curated screenshot and role note from the portfolio manifest
+    const screenshotHtml = screenshot
+        ? html`<figure class="project__media">
+                <img src="${screenshot}" alt="${title} screenshot" loading="lazy" class="project__screenshot">
+           </figure>`
+        : null;
+
+    const roleHtml = repo.role
+        ? html`<p class="project__role"><span class="project__role-label">Role</span>${repo.role}</p>`
+        : null;
+
+    return html`
+        <article class="project__card${repo.isFeatured ? ' project__card--featured' : ''}" data-language="${repo.language.toLowerCase()}" data-source="${repo.source}" data-owner="${repo.owner}" data-key="${repositoryKey(repo)}" data-index="${index}">
             <div class="project__card-inner">
                 <div class="project__header">
                     <div class="project__number">${formattedIndex}</div>
                     <div class="project__meta">
-                        ${repo.isFork ? '<span class="project__badge project__badge--fork">Fork</span>' : ''}
-                        ${repo.isArchived ? '<span class="project__badge project__badge--archived">Archived</span>' : ''}
+                        ${repo.isFeatured && html`<span class="project__badge project__badge--featured">Featured</span>`}
+                        <span class="project__badge project__badge--source project__badge--${repo.source}">${repo.sourceLabel}</span>
+                        ${repo.isFork && html`<span class="project__badge project__badge--fork">Fork</span>`}
+                        ${repo.isArchived && html`<span class="project__badge project__badge--archived">Archived</span>`}
                     </div>
                 </div>
+                ${screenshotHtml}
                 <h3 class="project__title">
-                    <a href="${repo.url}" target="_blank" rel="noopener" class="project__title-link">${repo.name}</a>
+                    <a href="${url}" target="_blank" rel="noopener" class="project__title-link" data-search="name" data-search-value="${title}">${title}</a>
                 </h3>
-                <p class="project__description">${repo.description}</p>
+                <p class="project__description" data-search="description" data-search-value="${repo.description}">${repo.description}</p>
+                ${roleHtml}
 
                 <div class="project__tech">
                     <span class="tech-tag" style="--tag-color: ${languageColor}">
                         <span class="tech-tag__dot"></span>
-                        ${repo.language}
+                        <span data-search="language" data-search-value="${repo.language}">${repo.language}</span>
                     </span>
                 </div>
 
-                ${topicsHtml ? `<div class="project__topics">${topicsHtml}</div>` : ''}
+                ${createLanguageBar(repo.languages)}
+
+                ${topicsHtml && html`<div class="project__topics">${topicsHtml}</div>`}
 
                 <div class="project__stats">
                     <div class="project__stat" title="Stars">
@@ -78,21 +105,27 @@ const createProjectCard = (repo, index) => {
                 </div>
 
                 <div class="project__actions">
-                    <a href="${repo.url}" target="_blank" rel="noopener" class="project__link">
+                    <button type="button" class="project__link project__link--details" data-details="${repositoryKey(repo)}" aria-haspopup="dialog">
+                        <span>Details</span>
+                        <svg class="project__link-icon" viewBox="0 0 16 16" fill="currentColor">
+                            <path d="M0 8a8 8 0 1116 0A8 8 0 010 8zm8-6.5a6.5 6.5 0 100 13 6.5 6.5 0 000-13zM6.5 7.75A.75.75 0 017.25 7h1a.75.75 0 01.75.75v2.75h.25a.75.75 0 010 1.5h-2a.75.75 0 010-1.5h.25v-2h-.25a.75.75 0 01-.75-.75zM8 6a1 1 0 110-2 1 1 0 010 2z"/>
+                        </svg>
+                    </button>
+                    <a href="${url}" target="_blank" rel="noopener" class="project__link">
                         <span>View Code</span>
                         <svg class="project__link-icon" viewBox="0 0 16 16" fill="currentColor">
                             <path d="M2 2.5A2.5 2.5 0 014.5 0h8.75a.75.75 0 01.75.75v12.5a.75.75 0 01-.75.75h-2.5a.75.75 0 110-1.5h1.75v-2h-8a1 1 0 00-.714 1.7.75.75 0 01-1.072 1.05A2.495 2.495 0 012 11.5v-9zm10.5-1V9h-8c-.356 0-.694.074-1 .208V2.5a1 1 0 011-1h8zM5 12.25v3.25a.25.25 0 00.4.2l1.45-1.087a.25.25 0 01.3 0L8.6 15.7a.25.25 0 00.4-.2v-3.25a.25.25 0 00-.25-.25h-3.5a.25.25 0 00-.25.25z"/>
                         </svg>
                     </a>
-                    ${repo.homepage ? `
-                        <a href="${repo.homepage}" target="_blank" rel="noopener" class="project__link project__link--demo">
+                    ${homepage && html`
+                        <a href="${homepage}" target="_blank" rel="noopener" class="project__link project__link--demo">
                             <span>Live Demo</span>
                             <svg class="project__link-icon" viewBox="0 0 16 16" fill="currentColor">
                                 <path d="M10.5 8a2.5 2.5 0 11-5 0 2.5 2.5 0 015 0z"/>
                                 <path d="M0 8s3-5.5 8-5.5S16 8 16 8s-3 5.5-8 5.5S0 8 0 8zm8 3.5a3.5 3.5 0 100-7 3.5 3.5 0 000 7z"/>
                             </svg>
                         </a>
-                    ` : ''}
+                    `}
                 </div>
             </div>
         </article>
@@ -102,182 +135,877 @@ const createProjectCard = (repo, index) => {
 // ============================================
 // STATS UPDATER
 // ============================================
+/**
+ * Counters start when the stats scroll into view and retarget on revalidation
+ */
 const updateStats = (stats) => {
-    const animateNumber = (element, target) => {
-        const duration = 2000;
-        const start = 0;
-        const startTime = performance.now();
-
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            const eased = 1 - Math.pow(1 - progress, 3);
-            const current = Math.floor(start + (target - start) * eased);
-
-            element.textContent = current.toLocaleString();
-
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            }
-        };
-
-        requestAnimationFrame(animate);
-    };
-
-    // Update stat numbers with animation
-    const reposEl = document.getElementById('stat-repos');
-    const starsEl = document.getElementById('stat-stars');
-    const forksEl = document.getElementById('stat-forks');
-    const followersEl = document.getElementById('stat-followers');
-
-    if (reposEl) animateNumber(reposEl, stats.totalRepos);
-    if (starsEl) animateNumber(starsEl, stats.totalStars);
-    if (forksEl) animateNumber(forksEl, stats.totalForks);
-    if (followersEl) animateNumber(followersEl, stats.followers);
+    setCount(document.getElementById('stat-repos'), stats.totalRepos);
+    setCount(document.getElementById('stat-stars'), stats.totalStars);
+    setCount(document.getElementById('stat-forks'), stats.totalForks);
+    setCount(document.getElementById('stat-followers'), stats.followers);
 };
 
 // ============================================
 // LANGUAGE STATS RENDERER
 // ============================================
 const updateLanguageStats = (languageStats) => {
-    const languageColors = {
-        'TypeScript': '#3178C6',
-        'JavaScript': '#F7DF1E',
-        'Vue': '#4FC08D',
-        'HTML': '#E34F26',
-        'CSS': '#1572B6',
-        'Python': '#3776AB',
-        'Other': '#8B949E'
-    };
-
     const container = document.getElementById('language-stats');
     if (!container || !languageStats.length) return;
 
-    const total = languageStats.reduce((sum, lang) => sum + lang.count, 0);
+    // Percentages are weighted by bytes across all repositories
+    const items = languageStats.filter(lang => lang.percent > 0).map(lang => {
+        const percent = lang.percent < 1 ? lang.percent.toFixed(1) : Math.round(lang.percent);
+        const color = getLanguageColor(lang.language);
 
-    container.innerHTML = languageStats.map(lang => {
-        const percent = Math.round((lang.count / total) * 100);
-        const color = languageColors[lang.language] || languageColors['Other'];
-
-        return `
+        return html`
             <div class="language__stat">
                 <span class="language__color" style="background: ${color}"></span>
                 <span class="language__name">${lang.language}</span>
                 <span class="language__percent">${percent}%</span>
             </div>
         `;
-    }).join('');
+    });
+
+    setHTML(container, html`${items}`);
+};
+
+// ============================================
+// SKILLS RENDERER
+// ============================================
+const SKILLS_CONFIG = {
+    // Repositories listed per skill; the rest collapse into "+N more"
+    maxRepositories: 4
+};
+
+const skillManifest = normalizeSkills(skillsData);
+
+const createSkillLevel = (skill) => {
+    if (skill.shownLevel === null) return null;
+
+    const label = skill.evidence === null
+        ? `Self-rated ${skill.level}%`
+        : `${skill.shownLevel}%: self-rated ${skill.level}%, GitHub usage ${Math.round(skill.evidence)}%`;
+
+    return html`
+        <div class="skill__level" role="img" aria-label="${skill.name} ${label}" title="${label}">
+            <div class="skill__bar" style="width: ${skill.shownLevel}%"></div>
+        </div>
+    `;
+};
+
+const createSkillRepositories = (skill) => {
+    if (!skill.repositories.length) return null;
+
+    const shown = skill.repositories.slice(0, SKILLS_CONFIG.maxRepositories);
+    const more = skill.repositories.length - shown.length;
+
+    // Links open the project through the router (#/projects/<repo-name>)
+    const links = shown.map(repo => html`
+        <li><a href="${formatRoute({ section: 'projects', path: getProjectSlug(repo) })}" class="skill__repo">${repo.title || repo.name}</a></li>
+    `);
+
+    return html`
+        <ul class="skill__repos" aria-label="Repositories using ${skill.name}">
+            ${links}
+            ${more > 0 && html`<li class="skill__repo skill__repo--more">+${more} more</li>`}
+        </ul>
+    `;
+};
+
+const createSkillCard = (skill, layout) => {
+    // Skill colors are validated hex values; languages fall back to LANGUAGE_COLORS
+    const color = skill.color || getLanguageColor(skill.languages[0]);
+    const count = skill.repositories.length;
+
+    return html`
+        <div class="skill__card skill__card--${layout}">
+            <div class="skill__header">
+                <span class="skill__dot" style="--skill-color: ${color}"></span>
+                <span class="skill__name">${skill.name}</span>
+                ${count > 0 && html`<span class="skill__count">${count} ${count === 1 ? 'repo' : 'repos'}</span>`}
+            </div>
+            ${createSkillLevel(skill)}
+            ${createSkillRepositories(skill)}
+        </div>
+    `;
+};
+
+/**
+ * Render src/data/skills.json into #skills-grid, before the language stats
+ * With repositories, levels blend in their GitHub usage and each skill
+ * lists the repositories that use it
+ */
+const updateSkills = (repositories = [], languageStats = []) => {
+    const grid = document.getElementById('skills-grid');
+    if (!grid) return;
+
+    const languageCategory = grid.querySelector('.skills__category--languages');
+    const categories = computeSkillEvidence(skillManifest, repositories, languageStats).map(category => html`
+        <div class="skills__category">
+            <h3 class="skills__category-title">${category.title}</h3>
+            <div class="skills__list skills__list--${category.layout}">
+                ${category.skills.map(skill => createSkillCard(skill, category.layout))}
+            </div>
+        </div>
+    `);
+
+    setHTML(grid, html`${categories}`);
+    if (languageCategory) grid.append(languageCategory);
+};
+
+// ============================================
+// PROFILE
+// ============================================
+let currentProfile = null;
+
+/**
+ * The configured accounts, shown until the first profile arrives
+ */
+const getConfiguredProfile = () => {
+    const { providers } = getPortfolioAPI();
+
+    return {
+        login: providers[0].config.username,
+        source: providers[0].source,
+        accounts: providers.map(provider => ({ source: provider.source, login: provider.config.username }))
+    };
+};
+
+const updateProfile = (profile) => {
+    currentProfile = resolveProfile(profile, profileOverrides);
+    renderProfile(currentProfile);
+};
+
+// ============================================
+// STALE DATA NOTICE
+// ============================================
+const formatNoticeTime = (date) => date.toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+/**
+ * Show why the rendered data may be out of date
+ * stale: rate-limited sources; snapshotAt: set when live data never arrived
+ */
+const updateDataNotice = (stale, snapshotAt = null) => {
+    const notice = document.getElementById('projects-notice');
+    if (!notice) return;
+
+    // Dates come back as strings when the cache fell back to localStorage
+    const messages = (stale || []).map(({ label, asOf, resetAt }) => {
+        const reset = resetAt ? `, live data returns around ${formatNoticeTime(new Date(resetAt))}` : '';
+        return `${label} rate limit reached${reset}. Showing data as of ${formatNoticeTime(new Date(asOf))}.`;
+    });
+
+    if (snapshotAt) {
+        messages.push(`Live data is unavailable. Showing the build snapshot from ${formatNoticeTime(new Date(snapshotAt))}.`);
+    }
+
+    notice.textContent = messages.join(' ');
+    notice.hidden = messages.length === 0;
 };
 
 // ============================================
-// PROJECT FILTER
+// LOADING & ERROR STATES
 // ============================================
-const initProjectFilter = () => {
-    const filterBtns = document.querySelectorAll('.filter__btn');
-    const projectCards = document.querySelectorAll('.project__card');
-
-    filterBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-            // Update active state
-            filterBtns.forEach(b => b.classList.remove('filter__btn--active'));
-            btn.classList.add('filter__btn--active');
-
-            const filter = btn.dataset.filter;
-
-            // Filter cards
-            projectCards.forEach(card => {
-                const language = card.dataset.language;
-
-                if (filter === 'all' ||
-                    filter === language ||
-                    (filter === 'other' && !['javascript', 'typescript', 'vue'].includes(language))) {
-                    card.style.display = '';
-                    // Animate in
-                    gsap.fromTo(card, { opacity: 0, y: 20 }, { opacity: 1, y: 0, duration: 0.3 });
-                } else {
-                    card.style.display = 'none';
-                }
-            });
+const SKELETON_CONFIG = {
+    count: 6
+};
+
+/**
+ * Placeholder with the shape of a project card
+ */
+const createSkeletonCard = () => html`
+    <div class="project__card project__card--skeleton" aria-hidden="true">
+        <div class="project__card-inner">
+            <div class="project__header">
+                <span class="skeleton skeleton--number"></span>
+                <span class="skeleton skeleton--badge"></span>
+            </div>
+            <span class="skeleton skeleton--title"></span>
+            <span class="skeleton skeleton--text"></span>
+            <span class="skeleton skeleton--text skeleton--short"></span>
+            <span class="skeleton skeleton--tag"></span>
+            <span class="skeleton skeleton--bar"></span>
+            <div class="project__stats">
+                <span class="skeleton skeleton--stat"></span>
+                <span class="skeleton skeleton--stat"></span>
+                <span class="skeleton skeleton--stat"></span>
+            </div>
+        </div>
+    </div>
+`;
+
+const showSkeletons = () => {
+    const grid = document.getElementById('projects-grid');
+    if (!grid) return;
+
+    setHTML(grid, html`${Array.from({ length: SKELETON_CONFIG.count }, createSkeletonCard)}`);
+    grid.setAttribute('aria-busy', 'true');
+};
+
+/**
+ * What went wrong, as far as the visitor is concerned
+ * @returns {'offline'|'rate-limit'|'network'|'not-found'|'unknown'}
+ */
+const classifyError = (error) => {
+    if (!isOnline()) return 'offline';
+    if (error instanceof RateLimitError) return 'rate-limit';
+    if (error instanceof NetworkError) return 'network';
+    if (error instanceof ApiError && error.status === 404) return 'not-found';
+    return 'unknown';
+};
+
+const ERROR_MESSAGES = {
+    'offline': () => ({
+        title: 'You are offline',
+        text: 'Projects will load as soon as the connection is back.'
+    }),
+    'rate-limit': (error) => ({
+        title: 'API rate limit reached',
+        text: error.resetAt
+            ? `Requests are allowed again around ${formatNoticeTime(new Date(error.resetAt))}.`
+            : 'Requests are allowed again in a few minutes.'
+    }),
+    'network': () => ({
+        title: 'The repository API could not be reached',
+        text: 'Check your connection or try again in a moment.'
+    }),
+    'not-found': () => ({
+        title: 'Account not found',
+        text: 'The configured account does not exist or is not public.'
+    }),
+    'unknown': () => ({
+        title: 'Failed to load repositories',
+        text: 'Something went wrong while loading projects.'
+    })
+};
+
+/**
+ * Replace the grid with a classified error and a retry button
+ */
+const showProjectsError = (error) => {
+    const grid = document.getElementById('projects-grid');
+    const status = document.getElementById('projects-status');
+    if (grid) {
+        setHTML(grid, html``);
+        grid.removeAttribute('aria-busy');
+    }
+    if (!status) return;
+
+    const kind = classifyError(error);
+    const { title, text } = ERROR_MESSAGES[kind](error);
+    const [account] = currentProfile.accounts;
+
+    setHTML(status, html`
+        <div class="projects__error projects__error--${kind}">
+            <p class="projects__error-title">${title}</p>
+            <p class="projects__error-text">${text}</p>
+            <div class="projects__error-actions">
+                <button type="button" class="btn btn--outline" data-retry>Try again</button>
+                ${account && html`
+                    <a href="${getRepositoriesUrl(account)}" target="_blank" rel="noopener" class="btn btn--outline">
+                        View on ${account.label}
+                    </a>
+                `}
+            </div>
+        </div>
+    `);
+    status.hidden = false;
+};
+
+const hideProjectsError = () => {
+    const status = document.getElementById('projects-status');
+    if (!status) return;
+
+    status.hidden = true;
+    setHTML(status, html``);
+};
+
+// ============================================
+// PROJECT FILTER & SEARCH
+// ============================================
+let projectFilter = null;
+let projectSearch = null;
+let projectViews = null;
+let projectCarousel = null;
+let projectFragments = null;
+
+/**
+ * Fragment cluster items for the projects on show, in their order
+ */
+const updateProjectFragments = (repositories) => {
+    if (!projectFragments) return;
+
+    projectFragments.setRepositories(repositories.map(repo => ({
+        key: repositoryKey(repo),
+        title: repo.title || repo.name,
+        language: repo.language,
+        color: getLanguageColor(repo.language),
+        stars: repo.stars
+    })));
+};
+
+const getProjectFilter = () => {
+    if (!projectFilter) {
+        // Every view shows what the filter shows
+        projectViews = new ProjectViews('projects-views', {
+            gridId: 'projects-grid',
+            timelineId: 'projects-timeline',
+            carouselId: 'projects-carousel',
+            getColor: repo => getLanguageColor(repo.language),
+            onOpen: (key, opener) => openProjectDetail(key, opener)
+        });
+        if (projectCarousel) projectViews.setCarousel(projectCarousel);
+
+        projectFilter = new ProjectFilter('projects-filter', 'projects-grid', {
+            onChange: (filterState, kind) => syncProjectRoute(filterState, kind),
+            onApply: repositories => {
+                projectViews.update(repositories);
+                updateProjectFragments(repositories);
+            }
+        });
+        projectSearch = new ProjectSearch('projects-search', query => projectFilter.setSearch(query));
+    }
+    return projectFilter;
+};
+
+/**
+ * Enable the 3D carousel view with the scene's carousel
+ * @param {ProjectCarousel} carousel
+ */
+const setProjectCarousel = (carousel) => {
+    projectCarousel = carousel;
+    if (projectViews) projectViews.setCarousel(carousel);
+};
+
+/**
+ * Hand the shown projects to the scene's fragment clusters
+ * @param {ProjectFragments} fragments
+ */
+const setProjectFragments = (fragments) => {
+    projectFragments = fragments;
+    if (projectFilter) updateProjectFragments(projectFilter.getVisibleRepositories());
+};
+
+// ============================================
+// PROJECT DETAIL
+// ============================================
+// Repositories currently on screen, keyed like the cards' data-details
+const renderedRepositories = new Map();
+let portfolioApi = null;
+let projectDetail = null;
+
+const getPortfolioAPI = () => {
+    if (!portfolioApi) {
+        // Initialize GitHub + GitLab providers with the curated manifest
+        portfolioApi = createPortfolioAPI({ manifest: portfolioManifest });
+    }
+    return portfolioApi;
+};
+
+const showProjectDetail = async (repo, opener) => {
+    if (!projectDetail) {
+        const { ProjectDetail } = await import('./project-detail.js');
+        projectDetail = new ProjectDetail('project-detail', getPortfolioAPI(), {
+            // Closed by the visitor rather than by a route change
+            onClose: () => {
+                if (parseRoute(window.location.hash).path) navigateProjects(null);
+            }
         });
+    }
+
+    projectDetail.open(repo, opener);
+};
+
+const openProjectDetail = (key, opener) => {
+    const repo = renderedRepositories.get(key);
+    if (!repo) return;
+
+    navigateProjects(repo);
+    showProjectDetail(repo, opener);
+};
+
+/**
+ * Scroll to a project's card and open it, as a #/projects/<slug> link would
+ * @param {string} key - repositoryKey of a rendered project
+ */
+const openProject = (key) => {
+    const repo = renderedRepositories.get(key);
+    if (!repo) return;
+
+    if (projectRouter) {
+        navigateProjects(repo, { silent: false });
+    } else {
+        showProjectDetail(repo, null);
+    }
+};
+
+const initProjectDetails = () => {
+    const grid = document.getElementById('projects-grid');
+    if (!grid) return;
+
+    // Cards are re-rendered on refresh, so listen on the grid
+    grid.addEventListener('click', (event) => {
+        const btn = event.target.closest('[data-details]');
+        if (btn) openProjectDetail(btn.dataset.details, btn);
     });
 };
 
 // ============================================
-// MAIN LOADER FUNCTION
+// PAGINATION
 // ============================================
-const loadGitHubProjects = async () => {
+const PAGINATION_CONFIG = {
+    // Load the next page when the button scrolls into view instead of on click
+    infiniteScroll: false,
+    rootMargin: '400px',
+    refreshDelay: 200 // Debounce ScrollTrigger.refresh() while the grid resizes
+};
+
+// Repositories on screen and where each source continues; a re-render
+// (e.g. the background refresh) starts a new generation from page one
+const pagination = { repositories: [], cursors: {}, loading: false, failed: false, generation: 0 };
+let moreObserver = null;
+
+const hasMoreRepositories = () => Object.values(pagination.cursors).some(cursor => cursor != null);
+
+const updateLoadMore = (status = '') => {
+    const more = document.getElementById('projects-more');
+    if (!more) return;
+
+    const btn = more.querySelector('.projects__more-btn');
+    btn.disabled = pagination.loading;
+    btn.textContent = pagination.loading ? 'Loading...' : 'Load more projects';
+    more.querySelector('.projects__more-status').textContent = status;
+    more.hidden = !hasMoreRepositories();
+};
+
+/**
+ * Add a page of repositories below the rendered cards
+ */
+const appendRepositories = (repositories) => {
     const grid = document.getElementById('projects-grid');
-    const loading = document.getElementById('projects-loading');
+    const start = pagination.repositories.length;
+
+    appendHTML(grid, html`${repositories.map((repo, index) => createProjectCard(repo, start + index))}`);
+
+    repositories.forEach(repo => {
+        renderedRepositories.set(repositoryKey(repo), repo);
+    });
+    pagination.repositories = [...pagination.repositories, ...repositories];
+
+    // New languages and topics become chips; the new cards follow the active filters
+    const languageStats = computeLanguageStats(pagination.repositories);
+    getProjectFilter().update({ repositories: pagination.repositories, languageStats });
+    updateSkills(pagination.repositories, languageStats);
+
+    const cards = [...grid.querySelectorAll('.project__card')]
+        .filter(card => Number(card.dataset.index) >= start && card.style.display !== 'none');
+
+    gsap.from(cards, {
+        opacity: 0,
+        y: 50,
+        stagger: 0.1,
+        duration: 0.6,
+        ease: 'power3.out'
+    });
+};
+
+const loadMoreProjects = async () => {
+    if (pagination.loading || !hasMoreRepositories()) return;
+
+    const { generation } = pagination;
+    pagination.loading = true;
+    pagination.failed = false;
+    updateLoadMore();
 
     try {
-        // Initialize GitHub API
-        const api = new GitHubAPI(GITHUB_CONFIG);
-
-        // Fetch portfolio data
-        const data = await api.fetchPortfolioData();
-
-        // Hide loading spinner
-        if (loading) loading.style.display = 'none';
-
-        // Render project cards
-        if (grid) {
-            const projectsHtml = data.repositories.map((repo, index) =>
-                createProjectCard(repo, index)
-            ).join('');
-
-            grid.innerHTML = projectsHtml;
-
-            // Animate cards in
-            gsap.from('.project__card', {
-                opacity: 0,
-                y: 50,
-                stagger: 0.1,
-                duration: 0.6,
-                ease: 'power3.out'
-            });
+        const { repositories, cursors } = await getPortfolioAPI()
+            .loadMoreRepositories(pagination.repositories, pagination.cursors);
+        if (generation !== pagination.generation) return;
+
+        pagination.cursors = cursors;
+        pagination.loading = false;
+        appendRepositories(repositories);
+        updateLoadMore();
+
+        // Keep loading while the button stays in view
+        if (moreObserver) {
+            const more = document.getElementById('projects-more');
+            moreObserver.unobserve(more);
+            moreObserver.observe(more);
         }
+    } catch (error) {
+        if (generation !== pagination.generation) return;
 
-        // Update stats
-        if (data.stats) {
-            updateStats(data.stats);
-        }
+        console.error('Error loading more projects:', error);
+        pagination.loading = false;
+        pagination.failed = true;
+
+        const { title, text } = ERROR_MESSAGES[classifyError(error)](error);
+        updateLoadMore(`${title}. ${text}`);
+    }
+};
+
+const initLoadMore = () => {
+    const more = document.getElementById('projects-more');
+    const grid = document.getElementById('projects-grid');
+    if (!more || !grid) return;
 
-        // Update language stats
-        if (data.languageStats) {
-            updateLanguageStats(data.languageStats);
+    more.querySelector('.projects__more-btn').addEventListener('click', loadMoreProjects);
+
+    if (PAGINATION_CONFIG.infiniteScroll && 'IntersectionObserver' in window) {
+        moreObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) loadMoreProjects();
+        }, { rootMargin: PAGINATION_CONFIG.rootMargin });
+        moreObserver.observe(more);
+    }
+
+    // Pages, filters and search all change the grid's height, which moves
+    // every pinned section below it
+    let timer = null;
+    new ResizeObserver(() => {
+        clearTimeout(timer);
+        timer = setTimeout(() => ScrollTrigger.refresh(), PAGINATION_CONFIG.refreshDelay);
+    }).observe(grid);
+};
+
+// ============================================
+// ROUTING
+// ============================================
+// #/projects/<repo-name>?q=three&language=go,rust&match=all&sort=stars
+const FILTER_GROUPS = ['language', 'topic', 'status', 'owner'];
+
+let projectRouter = null;
+
+// Routes wait for the first render, from the snapshot, cache or API
+let markProjectsReady = null;
+const projectsReady = new Promise(resolve => {
+    markProjectsReady = resolve;
+});
+
+const filterStateToParams = ({ query, sort, mode, selected }) => {
+    const params = new URLSearchParams();
+    if (query) params.set('q', query);
+
+    FILTER_GROUPS.forEach(group => {
+        const values = selected
+            .filter(key => key.startsWith(`${group}:`))
+            .map(key => key.slice(group.length + 1));
+        if (values.length) params.set(group, values.join(','));
+    });
+
+    if (mode !== 'any') params.set('match', mode);
+    if (sort !== 'featured') params.set('sort', sort);
+    return params;
+};
+
+const paramsToFilterState = (params) => ({
+    query: params.get('q') || '',
+    sort: params.get('sort') || 'featured',
+    mode: params.get('match') || 'any',
+    selected: FILTER_GROUPS.flatMap(group =>
+        (params.get(group) || '').split(',').filter(Boolean).map(value => `${group}:${value}`)
+    )
+});
+
+/**
+ * A repository's name in project links; the full name only when two
+ * rendered repositories share a name
+ */
+const getProjectSlug = (repo) => {
+    const name = repo.name.toLowerCase();
+    const shared = [...renderedRepositories.values()]
+        .some(other => other !== repo && other.name.toLowerCase() === name);
+
+    return shared ? repo.fullName : repo.name;
+};
+
+const findProject = (slug) => {
+    const key = slug.toLowerCase();
+    const repositories = [...renderedRepositories.values()];
+
+    return repositories.find(repo => repo.fullName.toLowerCase() === key) ||
+        repositories.find(repo => repo.name.toLowerCase() === key) ||
+        null;
+};
+
+/**
+ * Put the open project (or none) and the filter state in the URL
+ */
+const navigateProjects = (repo, options = {}) => {
+    if (!projectRouter) return;
+
+    projectRouter.navigate({
+        section: 'projects',
+        path: repo ? getProjectSlug(repo) : null,
+        params: filterStateToParams(getProjectFilter().getState())
+    }, { silent: true, ...options });
+};
+
+/**
+ * Filter changes add history entries; a query being typed replaces its own
+ */
+const syncProjectRoute = (filterState, kind) => {
+    if (!projectRouter) return;
+
+    const { route } = projectRouter;
+    const editingQuery = kind === 'search' && route.section === 'projects' &&
+        Boolean(route.params.get('q')) && Boolean(filterState.query);
+
+    navigateProjects(projectDetail && projectDetail.isOpen ? projectDetail.repo : null, { replace: editingQuery });
+};
+
+/**
+ * Deep-linked projects may sit on a page that is not loaded yet
+ */
+const loadProject = async (slug) => {
+    let repo = findProject(slug);
+
+    while (!repo && hasMoreRepositories()) {
+        const count = pagination.repositories.length;
+        await loadMoreProjects();
+        if (pagination.repositories.length === count) break;
+        repo = findProject(slug);
+    }
+
+    return repo;
+};
+
+const handleProjectsRoute = async (route, { source, previous }) => {
+    await projectsReady;
+
+    const filter = getProjectFilter();
+    const immediate = source === 'load';
+
+    // Section links keep the current view and just write it into the URL
+    if (source === 'link') {
+        navigateProjects(null, { replace: true });
+    } else {
+        const filterState = paramsToFilterState(route.params);
+        if (projectSearch) projectSearch.setValue(filterState.query);
+        filter.setState(filterState, { animate: !immediate });
+    }
+
+    if (!route.path) {
+        if (projectDetail && projectDetail.isOpen) projectDetail.close();
+
+        // Moving between filter states stays where the visitor is
+        if (source !== 'history' || !previous || previous.section !== 'projects') {
+            projectRouter.scrollTo(document.getElementById('projects'), { immediate });
         }
+        return;
+    }
 
-        // Initialize filter
-        initProjectFilter();
+    const repo = await loadProject(route.path);
+    if (!repo) {
+        console.warn(`Project "${route.path}" not found`);
+        projectRouter.scrollTo(document.getElementById('projects'), { immediate });
+        return;
+    }
 
-        // Update hero section with profile data
-        if (data.profile) {
-            const bioEl = document.getElementById('hero-bio');
-            if (bioEl && data.profile.bio) {
-                bioEl.textContent = data.profile.bio;
-            }
+    // The card, timeline entry or carousel showing it, if the filters let it show
+    const key = repositoryKey(repo);
+    const target = projectViews.reveal(key);
+
+    projectRouter.scrollTo(target || document.getElementById('projects'), {
+        immediate,
+        offset: target ? -window.innerHeight / 4 : 0
+    });
+
+    // Cards are re-rendered on refresh, so compare keys rather than objects
+    if (!projectDetail || !projectDetail.isOpen || repositoryKey(projectDetail.repo) !== key) {
+        showProjectDetail(repo, target ? target.querySelector('[data-details]') : null);
+    }
+};
+
+/**
+ * Route #/projects through the filters and the detail overlay
+ * @param {Router} router
+ */
+const initProjectRoutes = (router) => {
+    projectRouter = router;
+    router.on('projects', handleProjectsRoute);
+
+    // Back/forward to another section closes an open project
+    window.addEventListener('popstate', () => {
+        if (projectDetail && projectDetail.isOpen && !parseRoute(window.location.hash).path) {
+            projectDetail.close();
         }
+    });
+};
+
+// ============================================
+// PORTFOLIO RENDERER
+// ============================================
+const renderPortfolio = (data) => {
+    const grid = document.getElementById('projects-grid');
+
+    // Replaces the skeletons or an earlier error
+    hideProjectsError();
+    if (grid) grid.removeAttribute('aria-busy');
+
+    // Flag rate-limited sources that fell back to their last known data
+    updateDataNotice(data.stale);
+
+    // Render project cards
+    if (grid) {
+        setHTML(grid, html`${data.repositories.map((repo, index) => createProjectCard(repo, index))}`);
+
+        renderedRepositories.clear();
+        data.repositories.forEach(repo => {
+            renderedRepositories.set(repositoryKey(repo), repo);
+        });
+
+        // Chips follow the data; the active selection survives a background refresh
+        getProjectFilter().update(data);
+
+        Object.assign(pagination, {
+            repositories: data.repositories,
+            cursors: data.cursors || {},
+            loading: false,
+            failed: false,
+            generation: pagination.generation + 1
+        });
+        updateLoadMore();
+
+        // Animate cards in
+        gsap.from('.project__card', {
+            opacity: 0,
+            y: 50,
+            stagger: 0.1,
+            duration: 0.6,
+            ease: 'power3.out'
+        });
+    }
+
+    markProjectsReady();
+
+    // Update stats
+    if (data.stats) {
+        updateStats(data.stats);
+    }
+
+    // Update language stats
+    if (data.languageStats) {
+        updateLanguageStats(data.languageStats);
+    }
+
+    // Skills list the repositories that use them
+    updateSkills(data.repositories, data.languageStats || computeLanguageStats(data.repositories));
+
+    // Hero, navigation and contact links follow the profile
+    if (data.profile) {
+        updateProfile(data.profile);
+    }
+};
+
+// ============================================
+// MAIN LOADER FUNCTION
+// ============================================
+// Set when live data failed, so a retry or reconnect loads it again
+let projectsFailed = false;
+let projectsLoading = false;
+
+/**
+ * Fetch live data and render it, or show why it could not load
+ */
+const fetchProjects = async () => {
+    if (projectsLoading) return;
+    projectsLoading = true;
+
+    try {
+        const api = getPortfolioAPI();
+
+        // Cached data renders immediately; a background refresh re-renders
+        const data = await api.fetchPortfolioData({
+            onUpdate: (freshData) => renderPortfolio(freshData)
+        });
+
+        projectsFailed = false;
+        renderPortfolio(data);
 
         console.log('GitHub data loaded successfully:', data);
 
     } catch (error) {
+        projectsFailed = true;
+
+        if (portfolioSnapshot) {
+            // Keep the snapshot on screen and say how old it is
+            console.warn('Live refresh failed, keeping build snapshot:', error);
+            updateDataNotice(portfolioSnapshot.data.stale, portfolioSnapshot.generatedAt);
+            return;
+        }
+
         console.error('Error loading GitHub projects:', error);
+        markProjectsReady();
+        showProjectsError(error);
+    } finally {
+        projectsLoading = false;
+    }
+};
 
-        // Show error state
-        if (loading) {
-            loading.innerHTML = `
-                <div class="loading__error">
-                    <p>Failed to load repositories</p>
-                    <a href="https://github.com/satset19?tab=repositories" target="_blank" rel="noopener" class="btn btn--outline">
-                        View on GitHub
-                    </a>
-                </div>
-            `;
+/**
+ * Try again from the error state: skeletons while the request runs
+ */
+const retryProjects = () => {
+    if (!portfolioSnapshot) {
+        hideProjectsError();
+        showSkeletons();
+    }
+    fetchProjects();
+};
+
+const loadGitHubProjects = async () => {
+    // Configured accounts and self-rated skills show until data arrives
+    updateProfile(getConfiguredProfile());
+    updateSkills();
+
+    // Detail overlay and pagination listen on containers that outlive re-renders
+    initProjectDetails();
+    initLoadMore();
+
+    document.getElementById('projects-status')?.addEventListener('click', (event) => {
+        if (event.target.closest('[data-retry]')) retryProjects();
+    });
+
+    // Coming back online recovers a failed load without a page reload
+    onReconnect(() => {
+        if (projectsFailed && (!portfolioSnapshot || portfolioSnapshot.liveRefresh)) {
+            retryProjects();
+        } else if (pagination.failed) {
+            loadMoreProjects();
         }
+    });
+
+    // The build-time snapshot paints first; live data replaces it when enabled
+    if (portfolioSnapshot) {
+        renderPortfolio(portfolioSnapshot.data);
+        if (!portfolioSnapshot.liveRefresh) return;
+    } else {
+        showSkeletons();
     }
+
+    await fetchProjects();
 };
 
 // ============================================
 // EXPORT
 // ============================================
-export { loadGitHubProjects, createProjectCard, updateStats, updateLanguageStats };
+export {
+    loadGitHubProjects,
+    getPortfolioAPI,
+    initProjectRoutes,
+    setProjectCarousel,
+    setProjectFragments,
+    openProject,
+    createProjectCard,
+    createLanguageBar,
+    getLanguageColor,
+    updateStats,
+    updateLanguageStats,
+    updateSkills
+};
@@ -0,0 +1,79 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ContributionCalendar, computeStreaks } from '../src/js/contribution-calendar.js';
+
+const days = (...counts) => counts.map((count, index) => ({
+    date: `2024-01-${String(index + 1).padStart(2, '0')}`,
+    count
+}));
+
+describe('computeStreaks', () => {
+    it('finds the longest run and the run ending on the last day', () => {
+        expect(computeStreaks(days(1, 2, 3, 0, 1, 1))).toEqual({ current: 2, longest: 3 });
+    });
+
+    it('does not break the current streak on an empty last day', () => {
+        expect(computeStreaks(days(0, 4, 1, 0))).toEqual({ current: 2, longest: 2 });
+    });
+
+    it('is zero for no activity', () => {
+        expect(computeStreaks(days(0, 0))).toEqual({ current: 0, longest: 0 });
+        expect(computeStreaks([])).toEqual({ current: 0, longest: 0 });
+    });
+});
+
+// ============================================
+// RENDERING
+// ============================================
+const mount = (api) => {
+    document.body.innerHTML = `
+        <div id="activity-calendar">
+            <div class="activity__years"></div>
+            <div class="activity__calendar"></div>
+            <div class="activity__summary"></div>
+            <p class="activity__note" hidden></p>
+            <div class="activity__tooltip" hidden></div>
+        </div>
+    `;
+    return new ContributionCalendar('activity-calendar', api);
+};
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('ContributionCalendar', () => {
+    it('renders the year buttons, one cell per day and the streaks from the shared API', async () => {
+        const api = {
+            getContributionCalendar: vi.fn(async (year) => ({
+                from: '2023-01-01',
+                to: '2023-01-14',
+                year,
+                years: [2023, 2022],
+                days: [{ date: '2023-01-02', count: 3 }, { date: '2023-01-03', count: 1 }],
+                total: 4,
+                source: 'graphql'
+            }))
+        };
+
+        const calendar = mount(api);
+        await vi.waitFor(() => expect(calendar.container.querySelectorAll('.activity__cell')).toHaveLength(14));
+
+        expect([...calendar.yearsEl.querySelectorAll('[data-year]')].map(btn => btn.textContent))
+            .toEqual(['Last 12 months', '2023', '2022']);
+        expect(calendar.calendarEl.querySelector('[data-date="2023-01-02"]').dataset.count).toBe('3');
+        expect(calendar.summaryEl.textContent).toContain('Longest streak');
+        expect(calendar.summaryEl.textContent).not.toContain('Current streak');
+
+        calendar.yearsEl.querySelector('[data-year="2022"]').click();
+        expect(api.getContributionCalendar).toHaveBeenLastCalledWith(2022);
+    });
+
+    it('explains when the calendar cannot be loaded', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const calendar = mount({ getContributionCalendar: async () => { throw new Error('offline'); } });
+
+        await vi.waitFor(() => expect(calendar.calendarEl.querySelector('.activity__error')).not.toBeNull());
+        expect(calendar.summaryEl.innerHTML).toBe('');
+    });
+});
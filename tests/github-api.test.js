@@ -0,0 +1,432 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GitHubAPI, GITHUB_CONFIG } from '../src/js/github-api.js';
+import { ApiError, RateLimitError, NetworkError } from '../src/js/repository-provider.js';
+import { Cache } from '../src/js/cache.js';
+import { startMockApi, sendJSON } from './mock-api.js';
+
+let api;
+
+const listingPages = () => api.requests
+    .filter(request => request.path === '/users/satset19/repos')
+    .map(request => request.url.searchParams.get('page'));
+
+const createGitHub = (config = {}) => new GitHubAPI({
+    ...GITHUB_CONFIG,
+    apiBaseUrl: api.url,
+    token: null,
+    retries: 0,
+    ...config
+});
+
+/**
+ * REST listing entries, most recently updated first
+ */
+const createRepos = (count) => Array.from({ length: count }, (_, index) => ({
+    id: 100 + index,
+    name: `repo-${index}`,
+    full_name: `satset19/repo-${index}`,
+    description: `Repository ${index}`,
+    html_url: `https://github.com/satset19/repo-${index}`,
+    language: 'JavaScript',
+    stargazers_count: index,
+    forks_count: 0,
+    watchers_count: 0,
+    open_issues_count: 0,
+    fork: false,
+    archived: false,
+    size: 10,
+    created_at: '2023-01-01T00:00:00Z',
+    updated_at: new Date(Date.UTC(2024, 5, 1) - index * 86400000).toISOString(),
+    topics: []
+}));
+
+beforeEach(async () => {
+    api = await startMockApi('github');
+    await (await Cache.ready()).clear();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+    vi.restoreAllMocks();
+    await api.close();
+});
+
+// ============================================
+// NORMALIZATION
+// ============================================
+describe('GitHubAPI normalization', () => {
+    it('maps the profile and repositories onto the normalized shape', async () => {
+        const portfolio = await createGitHub().fetchPortfolioData();
+
+        expect(portfolio.profile).toMatchObject({
+            login: 'satset19',
+            name: 'Satset',
+            url: 'https://github.com/satset19',
+            publicRepos: 2,
+            followers: 10,
+            source: 'github'
+        });
+
+        expect(portfolio.repositories.map(repo => repo.fullName))
+            .toEqual(['satset19/porto-with-glm', 'satset19/three-playground']);
+
+        const [portfolioRepo] = portfolio.repositories;
+        expect(portfolioRepo).toMatchObject({
+            name: 'porto-with-glm',
+            owner: 'satset19',
+            url: 'https://github.com/satset19/porto-with-glm',
+            language: 'JavaScript',
+            stars: 4,
+            forks: 1,
+            license: 'MIT License',
+            topics: ['threejs', 'portfolio'],
+            source: 'github',
+            sourceLabel: 'GitHub'
+        });
+        expect(portfolioRepo.languages.map(lang => lang.name)).toEqual(['JavaScript', 'CSS', 'HTML']);
+        expect(portfolioRepo.languages[0].percent).toBeCloseTo((48213 / 69735) * 100);
+
+        expect(portfolio.stats).toMatchObject({ totalRepos: 2, totalStars: 5, totalForks: 1 });
+        expect(portfolio.languageStats[0].language).toBe('JavaScript');
+        expect(portfolio.cursor).toBeNull();
+    });
+});
+
+// ============================================
+// PAGINATION
+// ============================================
+describe('GitHubAPI pagination', () => {
+    it('reads further listing pages only as "load more" needs them', async () => {
+        const repos = createRepos(5);
+        api.override('/users/satset19/repos', (req, res, url) => {
+            const page = Number(url.searchParams.get('page'));
+            sendJSON(req, res, repos.slice((page - 1) * 2, page * 2));
+        });
+
+        const github = createGitHub({ perPage: 2, maxRepos: 2 });
+        const portfolio = await github.fetchPortfolioData();
+        expect(portfolio.repositories.map(repo => repo.name)).toEqual(['repo-0', 'repo-1']);
+        expect(portfolio.cursor).toBe(2);
+        expect(listingPages()).toEqual(['1']);
+
+        const second = await github.getMoreRepositories(portfolio.cursor);
+        expect(second.repositories.map(repo => repo.name)).toEqual(['repo-2', 'repo-3']);
+        expect(second.cursor).toBe(4);
+
+        const third = await github.getMoreRepositories(second.cursor);
+        expect(third.repositories.map(repo => repo.name)).toEqual(['repo-4']);
+        expect(third.cursor).toBeNull();
+        expect(listingPages()).toEqual(['1', '2', '3']);
+    });
+
+    it('lets the manifest hide and feature repositories before the cap', async () => {
+        const repos = createRepos(5);
+        api.override('/users/satset19/repos', (req, res) => sendJSON(req, res, repos));
+
+        const listed = await createGitHub({ maxRepos: 3 })
+            .setManifest({ featured: ['satset19/repo-4'], hidden: ['repo-0'] })
+            .getUserRepositories();
+
+        expect(listed.repos.map(repo => repo.name)).toEqual(['repo-4', 'repo-1', 'repo-2']);
+        expect(listingPages()).toEqual(['1']);
+    });
+});
+
+// ============================================
+// GRAPHQL
+// ============================================
+
+/**
+ * GraphQL repository node, newest first by index
+ */
+const createNode = (index) => ({
+    databaseId: 100 + index,
+    name: `repo-${index}`,
+    nameWithOwner: `satset19/repo-${index}`,
+    description: null,
+    url: `https://github.com/satset19/repo-${index}`,
+    homepageUrl: null,
+    primaryLanguage: { name: 'JavaScript' },
+    languages: { edges: [{ size: 100, node: { name: 'JavaScript', color: '#f1e05a' } }] },
+    stargazerCount: index,
+    forkCount: 0,
+    watchers: { totalCount: 0 },
+    issues: { totalCount: 0 },
+    isFork: false,
+    parent: null,
+    isArchived: false,
+    createdAt: '2023-01-01T00:00:00Z',
+    updatedAt: new Date(Date.UTC(2024, 5, 1) - index * 86400000).toISOString(),
+    licenseInfo: null,
+    diskUsage: 10,
+    repositoryTopics: { nodes: [] },
+    visibility: 'PUBLIC'
+});
+
+const readBody = (req) => new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(JSON.parse(body)));
+});
+
+describe('GitHubAPI GraphQL listing', () => {
+    it('continues "load more" from the endCursor of the previous page', async () => {
+        const variables = [];
+        api.override('/graphql', async (req, res) => {
+            const { query, variables: vars } = await readBody(req);
+            variables.push(vars);
+
+            if (query.includes('query Portfolio')) {
+                return sendJSON(req, res, { data: { user: {
+                    login: 'satset19',
+                    name: 'Satset',
+                    url: 'https://github.com/satset19',
+                    createdAt: '2020-01-01T00:00:00Z',
+                    followers: { totalCount: 1 },
+                    following: { totalCount: 0 },
+                    publicRepositories: { totalCount: 4 },
+                    pinnedItems: { nodes: [] },
+                    repositories: {
+                        nodes: [0, 1, 2].map(createNode),
+                        pageInfo: { hasNextPage: true, endCursor: 'cursor-1' }
+                    },
+                    contributionsCollection: {
+                        totalCommitContributions: 0,
+                        totalIssueContributions: 0,
+                        totalPullRequestContributions: 0,
+                        totalPullRequestReviewContributions: 0,
+                        totalRepositoryContributions: 0,
+                        restrictedContributionsCount: 0,
+                        contributionCalendar: { totalContributions: 0 }
+                    }
+                } } });
+            }
+
+            return sendJSON(req, res, { data: { repositoryOwner: {
+                login: 'satset19',
+                repositories: {
+                    nodes: [createNode(3)],
+                    pageInfo: { hasNextPage: false, endCursor: 'cursor-2' }
+                }
+            } } });
+        });
+
+        const github = createGitHub({ token: 'test-token', maxRepos: 2 });
+
+        const portfolio = await github.fetchPortfolioData();
+        expect(portfolio.repositories.map(repo => repo.name)).toEqual(['repo-0', 'repo-1']);
+
+        const more = await github.getMoreRepositories(portfolio.cursor);
+        expect(more.repositories.map(repo => repo.name)).toEqual(['repo-2', 'repo-3']);
+        expect(more.cursor).toBeNull();
+
+        expect(variables[variables.length - 1]).toMatchObject({ login: 'satset19', after: 'cursor-1' });
+        expect(listingPages()).toEqual([]);
+    });
+});
+
+// ============================================
+// ACCOUNTS
+// ============================================
+describe('GitHubAPI accounts', () => {
+    it('merges organization repositories and keeps the upstream over a fork', async () => {
+        const [own, fork] = createRepos(2);
+        const listing = [
+            own,
+            { ...fork, name: 'engine', full_name: 'satset19/engine', fork: true }
+        ];
+        const orgListing = [
+            { ...createRepos(3)[2], name: 'engine', full_name: 'satset-labs/engine' }
+        ];
+        api.override('/users/satset19/repos', (req, res) => sendJSON(req, res, listing));
+        api.override('/orgs/satset-labs/repos', (req, res) => sendJSON(req, res, orgListing));
+        api.override('/repos/satset19/engine', (req, res) =>
+            sendJSON(req, res, { parent: { full_name: 'satset-labs/engine' } })
+        );
+
+        const listed = await createGitHub({ accounts: [{ type: 'org', login: 'satset-labs' }] })
+            .getUserRepositories();
+
+        expect(listed.repos.map(repo => repo.full_name)).toEqual(['satset19/repo-0', 'satset-labs/engine']);
+    });
+});
+
+// ============================================
+// CONTRIBUTIONS
+// ============================================
+describe('GitHubAPI contribution calendar', () => {
+    it('counts public events per day without a token', async () => {
+        const today = new Date().toISOString().slice(0, 10);
+        api.override('/users/satset19/events/public', (req, res) => sendJSON(req, res, [
+            { type: 'PushEvent', created_at: `${today}T10:00:00Z`, payload: { size: 3, distinct_size: 2 } },
+            { type: 'IssuesEvent', created_at: `${today}T11:00:00Z`, payload: {} }
+        ]));
+
+        const calendar = await createGitHub().getContributionCalendar();
+
+        expect(calendar.source).toBe('events');
+        expect(calendar.to).toBe(today);
+        expect(calendar.days).toEqual([{ date: today, count: 3 }]);
+        expect(calendar.total).toBe(3);
+    });
+});
+
+// ============================================
+// PROJECT DETAILS
+// ============================================
+describe('GitHubAPI project details', () => {
+    const repo = { fullName: 'satset19/porto-with-glm' };
+
+    it('decodes the README and maps the latest releases', async () => {
+        api.override('/repos/satset19/porto-with-glm/readme', (req, res) => sendJSON(req, res, {
+            path: 'README.md',
+            content: Buffer.from('# Porto — ✨').toString('base64'),
+            download_url: 'https://raw.githubusercontent.com/satset19/porto-with-glm/main/README.md',
+            html_url: 'https://github.com/satset19/porto-with-glm/blob/main/README.md'
+        }));
+        api.override('/repos/satset19/porto-with-glm/releases', (req, res) => sendJSON(req, res, [
+            { name: '', tag_name: 'v1.0.0', html_url: 'https://github.com/r/1', published_at: '2024-05-01T00:00:00Z', prerelease: false }
+        ]));
+
+        const { readme, releases } = await createGitHub().getRepositoryDetails(repo);
+
+        expect(readme).toMatchObject({
+            markdown: '# Porto — ✨',
+            path: 'README.md',
+            repoRoot: {
+                raw: 'https://raw.githubusercontent.com/satset19/porto-with-glm/main',
+                html: 'https://github.com/satset19/porto-with-glm/blob/main'
+            }
+        });
+        expect(releases).toEqual([{
+            name: 'v1.0.0',
+            tag: 'v1.0.0',
+            url: 'https://github.com/r/1',
+            publishedAt: '2024-05-01T00:00:00Z',
+            isPrerelease: false
+        }]);
+    });
+
+    it('returns no README on 404 and no releases when they fail', async () => {
+        api.override('/repos/satset19/porto-with-glm/readme', (req, res) => sendJSON(req, res, { message: 'Not Found' }, 404));
+        api.override('/repos/satset19/porto-with-glm/releases', (req, res) => sendJSON(req, res, { message: 'Server Error' }, 500));
+
+        expect(await createGitHub().getRepositoryDetails(repo)).toEqual({ readme: null, releases: [] });
+    });
+});
+
+// ============================================
+// CONDITIONAL REQUESTS
+// ============================================
+describe('GitHubAPI ETag revalidation', () => {
+    it('sends the stored ETag and reuses the body on 304', async () => {
+        const github = createGitHub();
+
+        const first = await github.request('/users/satset19');
+        const second = await github.request('/users/satset19');
+
+        const revalidation = api.requests[api.requests.length - 1];
+        expect(revalidation.headers['if-none-match']).toMatch(/^"[0-9a-f]+"$/);
+        expect(revalidation.status).toBe(304);
+        expect(second).toEqual(first);
+        expect(second.login).toBe('satset19');
+    });
+
+    it('retries 5xx responses', async () => {
+        let failures = 1;
+        api.override('/users/satset19', (req, res, url, next) => {
+            if (failures-- > 0) return sendJSON(req, res, { message: 'Bad Gateway' }, 502);
+            return next();
+        });
+
+        const profile = await createGitHub({ retries: 1, retryDelay: 1 }).request('/users/satset19');
+
+        expect(profile.login).toBe('satset19');
+        expect(api.requests.map(request => request.status)[0]).toBe(502);
+        expect(api.requests).toHaveLength(2);
+    });
+});
+
+// ============================================
+// ERRORS
+// ============================================
+describe('GitHubAPI errors', () => {
+    it('throws ApiError with the status of a failed response', async () => {
+        api.override('/users/satset19', (req, res) => sendJSON(req, res, { message: 'Not Found' }, 404));
+
+        const error = await createGitHub().getUserProfile().catch(e => e);
+
+        expect(error).toBeInstanceOf(ApiError);
+        expect(error.status).toBe(404);
+    });
+
+    it('throws RateLimitError on an exhausted quota and stops calling the API', async () => {
+        const reset = Math.floor(Date.now() / 1000) + 600;
+        api.override('/users/satset19', (req, res) => {
+            res.setHeader('X-RateLimit-Limit', '60');
+            res.setHeader('X-RateLimit-Remaining', '0');
+            res.setHeader('X-RateLimit-Reset', String(reset));
+            sendJSON(req, res, { message: 'API rate limit exceeded' }, 403);
+        });
+
+        const github = createGitHub();
+        const error = await github.getUserProfile().catch(e => e);
+
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error.status).toBe(403);
+        expect(error.resetAt).toEqual(new Date(reset * 1000));
+
+        await expect(github.request('/users/satset19/repos')).rejects.toBeInstanceOf(RateLimitError);
+        expect(api.requests).toHaveLength(1);
+    });
+
+    it('throws RateLimitError with the Retry-After time on 429', async () => {
+        api.override('/users/satset19', (req, res) => {
+            res.setHeader('Retry-After', '30');
+            sendJSON(req, res, { message: 'secondary rate limit' }, 429);
+        });
+
+        const before = Date.now();
+        const error = await createGitHub().request('/users/satset19').catch(e => e);
+
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error.resetAt.getTime()).toBeGreaterThanOrEqual(before + 30000);
+    });
+
+    it('serves the last known portfolio, flagged as stale, while rate limited', async () => {
+        const github = createGitHub({ cacheDuration: -1 });
+        const fresh = await github.fetchPortfolioData();
+
+        api.override('/users/satset19', (req, res) => {
+            res.setHeader('Retry-After', '60');
+            sendJSON(req, res, { message: 'secondary rate limit' }, 429);
+        });
+
+        const stale = await github.fetchPortfolioData();
+
+        expect(stale.repositories).toEqual(fresh.repositories);
+        expect(stale.stale).toMatchObject({ source: 'github', label: 'GitHub' });
+    });
+
+    it('throws NetworkError when nothing listens', async () => {
+        const github = createGitHub();
+        await api.close();
+
+        const error = await github.request('/users/satset19').catch(e => e);
+
+        expect(error).toBeInstanceOf(NetworkError);
+        expect(error.message).toMatch(/unreachable/);
+
+        api = await startMockApi('github');
+    });
+
+    it('throws NetworkError when the API does not answer in time', async () => {
+        api.override('/users/satset19', () => {});
+
+        const error = await createGitHub({ timeout: 50 }).request('/users/satset19').catch(e => e);
+
+        expect(error).toBeInstanceOf(NetworkError);
+        expect(error.message).toMatch(/timeout after 50ms/);
+    });
+});
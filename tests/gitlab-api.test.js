@@ -0,0 +1,312 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GitLabAPI, GITLAB_CONFIG } from '../src/js/gitlab-api.js';
+import { ApiError, RateLimitError, NetworkError } from '../src/js/repository-provider.js';
+import { Cache } from '../src/js/cache.js';
+import { startMockApi, sendJSON } from './mock-api.js';
+
+let api;
+
+const createGitLab = (config = {}) => new GitLabAPI({
+    ...GITLAB_CONFIG,
+    apiBaseUrl: api.url,
+    token: null,
+    retries: 0,
+    ...config
+});
+
+/**
+ * /projects listing entries, most recently active first
+ */
+const createProjects = (count) => Array.from({ length: count }, (_, index) => ({
+    id: 2000 + index,
+    name: `project-${index}`,
+    path: `project-${index}`,
+    path_with_namespace: `satset19/project-${index}`,
+    web_url: `https://gitlab.com/satset19/project-${index}`,
+    star_count: index,
+    forks_count: 0,
+    archived: false,
+    empty_repo: false,
+    created_at: '2023-01-01T00:00:00Z',
+    last_activity_at: new Date(Date.UTC(2024, 5, 1) - index * 86400000).toISOString(),
+    topics: []
+}));
+
+beforeEach(async () => {
+    api = await startMockApi('gitlab');
+    await (await Cache.ready()).clear();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+    vi.restoreAllMocks();
+    await api.close();
+});
+
+// ============================================
+// NORMALIZATION
+// ============================================
+describe('GitLabAPI normalization', () => {
+    it('maps the profile and projects onto the normalized shape', async () => {
+        api.override('/users/satset19/projects', (req, res, url, next) => {
+            if (url.searchParams.get('per_page') === '1') res.setHeader('X-Total', '57');
+            next();
+        });
+
+        const portfolio = await createGitLab().fetchPortfolioData();
+
+        expect(portfolio.profile).toMatchObject({
+            login: 'satset19',
+            name: 'Satset',
+            bio: null,
+            blog: null,
+            url: 'https://gitlab.com/satset19',
+            publicRepos: 57,
+            followers: 2,
+            source: 'gitlab'
+        });
+
+        expect(portfolio.repositories).toHaveLength(1);
+        expect(portfolio.repositories[0]).toMatchObject({
+            id: 1001,
+            name: 'dotfiles',
+            fullName: 'satset19/dotfiles',
+            owner: 'satset19',
+            url: 'https://gitlab.com/satset19/dotfiles',
+            homepage: null,
+            language: 'Shell',
+            license: null,
+            size: 40,
+            defaultBranch: 'main',
+            readmePath: 'README.md',
+            source: 'gitlab',
+            sourceLabel: 'GitLab'
+        });
+        expect(portfolio.repositories[0].languages).toEqual([
+            { name: 'Shell', bytes: Math.round(0.925 * 40960), percent: 92.5 },
+            { name: 'Lua', bytes: Math.round(0.075 * 40960), percent: 7.5 }
+        ]);
+
+        expect(portfolio.stats.totalRepos).toBe(57);
+        expect(portfolio.languageStats[0].language).toBe('Shell');
+        expect(portfolio.cursor).toBeNull();
+    });
+
+    it('falls back to the listed projects when X-Total is missing', async () => {
+        const portfolio = await createGitLab().fetchPortfolioData();
+
+        expect(portfolio.profile.publicRepos).toBeNull();
+        expect(portfolio.stats.totalRepos).toBe(1);
+    });
+
+    it('throws ApiError when the user does not exist', async () => {
+        api.override('/users', (req, res) => sendJSON(req, res, []));
+
+        const error = await createGitLab().getUserProfile().catch(e => e);
+
+        expect(error).toBeInstanceOf(ApiError);
+        expect(error.status).toBe(404);
+    });
+});
+
+// ============================================
+// PAGINATION
+// ============================================
+describe('GitLabAPI pagination', () => {
+    it('reads further /projects pages only as "load more" needs them', async () => {
+        const projects = createProjects(5);
+        api.override('/users/satset19/projects', (req, res, url) => {
+            const page = Number(url.searchParams.get('page') || 1);
+            const perPage = Number(url.searchParams.get('per_page'));
+            res.setHeader('X-Total', String(projects.length));
+            sendJSON(req, res, projects.slice((page - 1) * perPage, page * perPage));
+        });
+
+        const gitlab = createGitLab({ perPage: 2, maxRepos: 2 });
+        const listingPages = () => api.requests
+            .filter(request => request.path === '/users/satset19/projects' && request.url.searchParams.has('page'))
+            .map(request => request.url.searchParams.get('page'));
+
+        const portfolio = await gitlab.fetchPortfolioData();
+        expect(portfolio.repositories.map(repo => repo.name)).toEqual(['project-0', 'project-1']);
+        expect(portfolio.stats.totalRepos).toBe(5);
+        expect(portfolio.cursor).toBe(2);
+        expect(listingPages()).toEqual(['1']);
+
+        const second = await gitlab.getMoreRepositories(portfolio.cursor);
+        expect(second.repositories.map(repo => repo.name)).toEqual(['project-2', 'project-3']);
+
+        const third = await gitlab.getMoreRepositories(second.cursor);
+        expect(third.repositories.map(repo => repo.name)).toEqual(['project-4']);
+        expect(third.cursor).toBeNull();
+        expect(listingPages()).toEqual(['1', '2', '3']);
+    });
+});
+
+// ============================================
+// CONDITIONAL REQUESTS
+// ============================================
+describe('GitLabAPI ETag revalidation', () => {
+    it('sends the stored ETag and reuses the body on 304', async () => {
+        const gitlab = createGitLab();
+
+        const first = await gitlab.request('/users/42');
+        const second = await gitlab.request('/users/42');
+
+        expect(api.requests.map(request => request.status)).toEqual([200, 304]);
+        expect(api.requests[1].headers['if-none-match']).toMatch(/^"[0-9a-f]+"$/);
+        expect(second).toEqual(first);
+        expect(second.username).toBe('satset19');
+    });
+
+    it('keeps requested headers when the body comes from a 304', async () => {
+        api.override('/users/satset19/projects', (req, res, url, next) => {
+            res.setHeader('X-Total', '57');
+            next();
+        });
+        const gitlab = createGitLab();
+
+        await gitlab.getProjectCount();
+        const count = await gitlab.getProjectCount();
+
+        expect(api.requests.map(request => request.status)).toEqual([200, 304]);
+        expect(count).toBe(57);
+    });
+});
+
+// ============================================
+// PROJECT DETAILS
+// ============================================
+describe('GitLabAPI project details', () => {
+    const repo = {
+        id: 1001,
+        fullName: 'satset19/dotfiles',
+        url: 'https://gitlab.com/satset19/dotfiles',
+        defaultBranch: 'main',
+        readmePath: 'README.md'
+    };
+
+    it('loads the README named by readme_url and the latest releases', async () => {
+        api.override('/projects/1001/repository/files/README.md/raw', (req, res) => {
+            res.setHeader('Content-Type', 'text/plain');
+            res.end('# dotfiles\n![setup](docs/setup.png)');
+        });
+        api.override('/projects/1001/releases', (req, res) => sendJSON(req, res, [{
+            name: '',
+            tag_name: 'v1.0.0',
+            released_at: '2024-04-01T00:00:00Z',
+            upcoming_release: false,
+            _links: { self: 'https://gitlab.com/satset19/dotfiles/-/releases/v1.0.0' }
+        }]));
+
+        const { readme, releases } = await createGitLab().getRepositoryDetails(repo);
+
+        const readmeRequest = api.requests.find(request => request.path.endsWith('/raw'));
+        expect(readmeRequest.url.searchParams.get('ref')).toBe('main');
+        expect(readme).toEqual({
+            markdown: '# dotfiles\n![setup](docs/setup.png)',
+            path: 'README.md',
+            rawUrl: 'https://gitlab.com/satset19/dotfiles/-/raw/main/README.md',
+            htmlUrl: 'https://gitlab.com/satset19/dotfiles/-/blob/main/README.md',
+            repoRoot: {
+                raw: 'https://gitlab.com/satset19/dotfiles/-/raw/main',
+                html: 'https://gitlab.com/satset19/dotfiles/-/blob/main'
+            }
+        });
+        expect(releases).toEqual([{
+            name: 'v1.0.0',
+            tag: 'v1.0.0',
+            url: 'https://gitlab.com/satset19/dotfiles/-/releases/v1.0.0',
+            publishedAt: '2024-04-01T00:00:00Z',
+            isPrerelease: false
+        }]);
+    });
+
+    it('finds the README in the repository tree without readme_url', async () => {
+        api.override('/projects/1001/repository/tree', (req, res) => sendJSON(req, res, [
+            { type: 'tree', name: 'readme', path: 'readme' },
+            { type: 'blob', name: 'README.rst', path: 'README.rst' },
+            { type: 'blob', name: 'readme.md', path: 'readme.md' }
+        ]));
+        api.override('/projects/1001/repository/files/readme.md/raw', (req, res) => {
+            res.setHeader('Content-Type', 'text/plain');
+            res.end('# dotfiles');
+        });
+
+        const readme = await createGitLab().getRepositoryReadme({ ...repo, readmePath: null });
+
+        expect(readme).toMatchObject({
+            markdown: '# dotfiles',
+            path: 'readme.md',
+            htmlUrl: 'https://gitlab.com/satset19/dotfiles/-/blob/main/readme.md'
+        });
+    });
+
+    it('encodes nested README paths', async () => {
+        api.override('/projects/1001/repository/files/docs%2FREADME.rst/raw', (req, res) => {
+            res.setHeader('Content-Type', 'text/plain');
+            res.end('Dotfiles\n========');
+        });
+
+        const readme = await createGitLab().getRepositoryReadme({ ...repo, readmePath: 'docs/README.rst' });
+
+        expect(readme.markdown).toBe('Dotfiles\n========');
+        expect(readme.rawUrl).toBe('https://gitlab.com/satset19/dotfiles/-/raw/main/docs/README.rst');
+    });
+
+    it('returns no README when the project has none', async () => {
+        api.override('/projects/1001/repository/tree', (req, res) => sendJSON(req, res, [
+            { type: 'blob', name: 'install.sh', path: 'install.sh' }
+        ]));
+
+        const { readme, releases } = await createGitLab().getRepositoryDetails({ ...repo, readmePath: null });
+
+        expect(readme).toBeNull();
+        expect(releases).toEqual([]);
+    });
+});
+
+// ============================================
+// ERRORS
+// ============================================
+describe('GitLabAPI errors', () => {
+    it('throws RateLimitError from RateLimit-* headers on 429', async () => {
+        const reset = Math.floor(Date.now() / 1000) + 600;
+        api.override('/users/42', (req, res) => {
+            res.setHeader('RateLimit-Limit', '2000');
+            res.setHeader('RateLimit-Remaining', '0');
+            res.setHeader('RateLimit-Reset', String(reset));
+            sendJSON(req, res, { message: 'Retry later' }, 429);
+        });
+
+        const gitlab = createGitLab();
+        const error = await gitlab.getUserProfile().catch(e => e);
+
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error.status).toBe(429);
+        expect(error.resetAt).toEqual(new Date(reset * 1000));
+        expect(gitlab.rateLimit).toMatchObject({ limit: 2000, remaining: 0 });
+    });
+
+    it('throws ApiError with the status of a failed response', async () => {
+        api.override('/users/42', (req, res) => sendJSON(req, res, { message: 'Server Error' }, 502));
+
+        const error = await createGitLab().getUserProfile().catch(e => e);
+
+        expect(error).toBeInstanceOf(ApiError);
+        expect(error.message).toBe('GitLab API error: 502');
+    });
+
+    it('throws NetworkError when nothing listens', async () => {
+        const gitlab = createGitLab();
+        await api.close();
+
+        const error = await gitlab.request('/users/42').catch(e => e);
+
+        expect(error).toBeInstanceOf(NetworkError);
+        expect(error.message).toMatch(/GitLab API unreachable/);
+
+        api = await startMockApi('gitlab');
+    });
+});
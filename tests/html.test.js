@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { html, trustedHTML, escapeHtml, safeUrl, setHTML } from '../src/js/html.js';
+
+describe('escapeHtml', () => {
+    it('escapes markup and every quote style', () => {
+        expect(escapeHtml(`<img src=x onerror="alert('1')">\``))
+            .toBe('&lt;img src=x onerror=&quot;alert(&#39;1&#39;)&quot;&gt;&#96;');
+    });
+
+    it('escapes ampersands first so entities stay literal', () => {
+        expect(escapeHtml('&lt;')).toBe('&amp;lt;');
+    });
+
+    it('stringifies non-string values', () => {
+        expect(escapeHtml(42)).toBe('42');
+        expect(escapeHtml(null)).toBe('null');
+    });
+});
+
+describe('html', () => {
+    it('escapes interpolated values', () => {
+        expect(html`<p title="${'" onclick="x'}">${'<b>'}</p>`.toString())
+            .toBe('<p title="&quot; onclick=&quot;x">&lt;b&gt;</p>');
+    });
+
+    it('passes nested templates and trusted markup through', () => {
+        expect(html`<ul>${[html`<li>${'a&b'}</li>`, trustedHTML('<li>c</li>')]}</ul>`.toString())
+            .toBe('<ul><li>a&amp;b</li><li>c</li></ul>');
+    });
+
+    it('renders nothing for null, undefined and false', () => {
+        expect(html`${null}${undefined}${false}${0}`.toString()).toBe('0');
+    });
+
+    it('only lets setHTML take templates', () => {
+        const element = { innerHTML: '' };
+        expect(() => setHTML(element, '<b>raw</b>')).toThrow(TypeError);
+    });
+});
+
+describe('safeUrl', () => {
+    it('keeps http(s) URLs', () => {
+        expect(safeUrl('https://example.com/a?b=1')).toBe('https://example.com/a?b=1');
+        expect(safeUrl('  http://example.com  ')).toBe('http://example.com');
+    });
+
+    it.each([
+        'javascript:alert(1)',
+        'JaVaScRiPt:alert(1)',
+        ' javascript:alert(1)',
+        'java\tscript:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'DATA:text/html;base64,PHNjcmlwdD4=',
+        'vbscript:msgbox(1)',
+        'VbScript:msgbox(1)',
+        'ftp://example.com'
+    ])('rejects %s', (url) => {
+        expect(safeUrl(url)).toBeNull();
+    });
+
+    it('rejects empty and non-string values', () => {
+        expect(safeUrl('')).toBeNull();
+        expect(safeUrl('   ')).toBeNull();
+        expect(safeUrl(null)).toBeNull();
+        expect(safeUrl({ toString: () => 'https://example.com' })).toBeNull();
+    });
+});
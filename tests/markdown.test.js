@@ -0,0 +1,68 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { renderMarkdown } from '../src/js/markdown.js';
+
+const SOURCE = [
+    '![shot](docs/shot.png) ![logo](/assets/logo.png)',
+    '[guide](docs/guide.md) [license](/LICENSE) [top](#usage)'
+].join('\n\n');
+
+const render = (bases) => {
+    const container = document.createElement('div');
+    container.append(renderMarkdown(SOURCE, bases));
+
+    return {
+        images: [...container.querySelectorAll('img')].map(img => img.getAttribute('src')),
+        links: [...container.querySelectorAll('a')].map(link => link.getAttribute('href'))
+    };
+};
+
+describe('renderMarkdown links', () => {
+    it('resolves GitHub README links against the file and the repository root', () => {
+        const { images, links } = render({
+            rawUrl: 'https://raw.githubusercontent.com/owner/repo/main/docs/README.md',
+            htmlUrl: 'https://github.com/owner/repo/blob/main/docs/README.md',
+            repoRoot: {
+                raw: 'https://raw.githubusercontent.com/owner/repo/main',
+                html: 'https://github.com/owner/repo/blob/main'
+            }
+        });
+
+        expect(images).toEqual([
+            'https://raw.githubusercontent.com/owner/repo/main/docs/docs/shot.png',
+            'https://raw.githubusercontent.com/owner/repo/main/assets/logo.png'
+        ]);
+        expect(links).toEqual([
+            'https://github.com/owner/repo/blob/main/docs/docs/guide.md',
+            'https://github.com/owner/repo/blob/main/LICENSE',
+            '#usage'
+        ]);
+    });
+
+    it('keeps root-relative GitLab links inside a nested-group project', () => {
+        const project = 'https://gitlab.com/group/subgroup/proj';
+        const { images, links } = render({
+            rawUrl: `${project}/-/raw/main/README.md`,
+            htmlUrl: `${project}/-/blob/main/README.md`,
+            repoRoot: { raw: `${project}/-/raw/main`, html: `${project}/-/blob/main` }
+        });
+
+        expect(images).toEqual([
+            `${project}/-/raw/main/docs/shot.png`,
+            `${project}/-/raw/main/assets/logo.png`
+        ]);
+        expect(links.slice(0, 2)).toEqual([
+            `${project}/-/blob/main/docs/guide.md`,
+            `${project}/-/blob/main/LICENSE`
+        ]);
+    });
+
+    it('falls back to the README directory without a repository root', () => {
+        const { images } = render({
+            rawUrl: 'https://example.com/files/README.md',
+            htmlUrl: 'https://example.com/files/README.md'
+        });
+
+        expect(images[1]).toBe('https://example.com/files/assets/logo.png');
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * MOCK API SERVER
+ * node:http stand-in for the GitHub and GitLab REST APIs: serves the
+ * payloads in fixtures/portfolio/<source>, answers If-None-Match with 304,
+ * records every request and lets a test take over single paths (errors,
+ * rate limits, extra pages)
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/portfolio', import.meta.url));
+
+/**
+ * Send a JSON body with an ETag, or 304 when the client already has it
+ */
+const sendJSON = (req, res, body, status = 200) => {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    const etag = `"${crypto.createHash('sha1').update(payload).digest('hex')}"`;
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('ETag', etag);
+
+    if (status === 200 && req.headers['if-none-match'] === etag) {
+        res.statusCode = 304;
+        res.end();
+        return;
+    }
+
+    res.statusCode = status;
+    res.end(payload);
+};
+
+/**
+ * /<path> maps to <fixtures>/<source>/<path>.json (query ignored); page N > 1
+ * of a list maps to <path>.page-N.json and is empty when that file is missing
+ */
+const sendFixture = (source, req, res, url) => {
+    const page = Number(url.searchParams.get('page') || 1);
+    const base = path.join(FIXTURES, source, decodeURIComponent(url.pathname));
+    const file = page > 1 ? `${base}.page-${page}.json` : `${base}.json`;
+
+    if (fs.existsSync(file)) {
+        sendJSON(req, res, fs.readFileSync(file, 'utf8'));
+    } else if (page > 1) {
+        sendJSON(req, res, []);
+    } else {
+        sendJSON(req, res, { message: 'Not Found' }, 404);
+    }
+};
+
+/**
+ * Start a mock API on a free port
+ * @param {string} source - Fixture directory, 'github' or 'gitlab'
+ * @returns {Promise<{ url: string, requests: object[], override: Function, close: Function }>}
+ *   override(pathname, (req, res, url, next) => ...) replaces the response
+ *   for one path; next() serves the fixture as usual
+ */
+const startMockApi = (source) => new Promise((resolve) => {
+    const requests = [];
+    const overrides = new Map();
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const request = { method: req.method, path: url.pathname, url, headers: req.headers, status: null };
+
+        requests.push(request);
+        res.on('finish', () => {
+            request.status = res.statusCode;
+        });
+
+        const next = () => sendFixture(source, req, res, url);
+        const override = overrides.get(url.pathname);
+
+        if (override) {
+            override(req, res, url, next);
+        } else {
+            next();
+        }
+    });
+
+    server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        override: (pathname, handler) => overrides.set(pathname, handler),
+        close: () => new Promise(done => {
+            server.closeAllConnections();
+            server.close(done);
+        })
+    }));
+});
+
+// ============================================
+// EXPORT
+// ============================================
+export { startMockApi, sendJSON };
@@ -0,0 +1,43 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ProjectFilter } from '../src/js/project-filter.js';
+
+const repositories = [
+    { name: 'engine', fullName: 'satset19/engine', owner: 'satset19', language: 'JavaScript', topics: ['threejs'], stars: 2 },
+    { name: 'dotfiles', fullName: 'satset19/dotfiles', owner: 'satset19', language: 'Shell', topics: [], stars: 1 }
+];
+
+const languageStats = [
+    { language: 'JavaScript', percent: 80 },
+    { language: 'Shell', percent: 20 }
+];
+
+let filter;
+
+beforeEach(() => {
+    // jsdom has no matchMedia; reduced motion skips the card animations
+    vi.stubGlobal('matchMedia', () => ({ matches: true }));
+    document.body.innerHTML = '<div id="filters"></div><div id="grid"></div>';
+    filter = new ProjectFilter('filters', 'grid');
+    filter.update({ repositories, languageStats });
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+const pressed = (selector) => [...document.querySelectorAll(selector)]
+    .map(button => button.getAttribute('aria-pressed'));
+
+describe('ProjectFilter buttons', () => {
+    it('render aria-pressed as "true" or "false"', () => {
+        expect(pressed('[data-group="language"]')).toEqual(['false', 'false']);
+        expect(pressed('[data-action="mode"]')).toEqual(['true', 'false']);
+
+        document.querySelector('[data-value="shell"]').click();
+        document.querySelector('[data-mode="all"]').click();
+
+        expect(pressed('[data-group="language"]')).toEqual(['false', 'true']);
+        expect(pressed('[data-action="mode"]')).toEqual(['false', 'true']);
+    });
+});
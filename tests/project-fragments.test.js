@@ -0,0 +1,43 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ProjectFragments, FRAGMENTS_CONFIG } from '../src/js/project-fragments.js';
+
+let fragments;
+let fragmentSystem;
+
+beforeEach(() => {
+    document.body.innerHTML = '<div id="fragment-tooltip" hidden></div>';
+    fragmentSystem = { position: 1, stageTargets: [], ready: Promise.resolve(), setTints: () => {} };
+    fragments = new ProjectFragments(fragmentSystem, { camera: null }, { stage: 1 });
+    vi.spyOn(fragments, 'pick').mockReturnValue(-1);
+});
+
+const runFrames = (count) => {
+    for (let frame = 0; frame < count; frame++) fragments.update();
+};
+
+describe('ProjectFragments picking', () => {
+    it('waits for a pointer', () => {
+        runFrames(3);
+        expect(fragments.pick).not.toHaveBeenCalled();
+    });
+
+    it('picks at once when the pointer or the scroll moves', () => {
+        window.dispatchEvent(new MouseEvent('pointermove', { clientX: 10, clientY: 10 }));
+        runFrames(1);
+        window.dispatchEvent(new MouseEvent('pointermove', { clientX: 20, clientY: 10 }));
+        runFrames(1);
+        fragmentSystem.position = 1.2;
+        runFrames(1);
+
+        expect(fragments.pick).toHaveBeenCalledTimes(3);
+    });
+
+    it('keeps picking every few frames while everything rests, as the fragments drift', () => {
+        window.dispatchEvent(new MouseEvent('pointermove', { clientX: 10, clientY: 10 }));
+
+        runFrames(FRAGMENTS_CONFIG.restPickFrames * 2 + 1);
+
+        expect(fragments.pick).toHaveBeenCalledTimes(3);
+    });
+});
@@ -0,0 +1,23 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ProjectViews } from '../src/js/project-views.js';
+
+beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '<div id="views"></div><div id="grid"></div><div id="timeline" hidden></div>';
+});
+
+const pressed = () => [...document.querySelectorAll('[data-view]')]
+    .map(button => [button.dataset.view, button.getAttribute('aria-pressed')]);
+
+describe('ProjectViews switcher', () => {
+    it('renders aria-pressed as "true" or "false"', () => {
+        new ProjectViews('views', { gridId: 'grid', timelineId: 'timeline', getColor: () => '#fff', onOpen: () => {} });
+
+        expect(pressed()).toEqual([['grid', 'true'], ['list', 'false'], ['timeline', 'false']]);
+
+        document.querySelector('[data-view="list"]').click();
+
+        expect(pressed()).toEqual([['grid', 'false'], ['list', 'true'], ['timeline', 'false']]);
+    });
+});
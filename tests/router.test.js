@@ -0,0 +1,40 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { Router, parseRoute, formatRoute } from '../src/js/router.js';
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    window.location.hash = '';
+});
+
+describe('parseRoute', () => {
+    it('reads the section, project path and query', () => {
+        const route = parseRoute('#/projects/porto%20glm?q=three&sort=stars');
+
+        expect(route.section).toBe('projects');
+        expect(route.path).toBe('porto glm');
+        expect(route.params.get('q')).toBe('three');
+        expect(formatRoute(route)).toBe('#/projects/porto%20glm?q=three&sort=stars');
+    });
+
+    it('keeps a malformed escape as typed instead of throwing', () => {
+        expect(() => parseRoute('#/projects/%E0')).not.toThrow();
+        expect(parseRoute('#/projects/%E0').path).toBe('%E0');
+    });
+});
+
+describe('Router', () => {
+    it('logs a failing handler instead of leaving the rejection unhandled', async () => {
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const router = new Router({ scrollTo: () => {} })
+            .on('projects', () => Promise.reject(new Error('not found')))
+            .on('contact', () => { throw new Error('broken'); });
+
+        router.navigate({ section: 'projects', path: '%E0' });
+        await router.resolve('navigate');
+        router.navigate({ section: 'contact' });
+
+        expect(error).toHaveBeenCalledTimes(3);
+        expect(error.mock.calls[0][0]).toBe('Error handling route #/projects:');
+    });
+});
@@ -0,0 +1,142 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createProjectCard, updateLanguageStats } from '../src/js/ui-renderer.js';
+import { setHTML } from '../src/js/html.js';
+
+// ============================================
+// HOSTILE DATA
+// Repositories as a compromised or malicious API could return them
+// ============================================
+const IMG_PAYLOAD = '<img src=x onerror=alert(1)>';
+const SCRIPT_PAYLOAD = '"><script>alert(1)</script>';
+
+const hostileRepository = (overrides = {}) => ({
+    id: 1,
+    name: IMG_PAYLOAD,
+    fullName: `evil/${IMG_PAYLOAD}`,
+    owner: '" onmouseover="alert(1)',
+    description: `'" onfocus="alert(1)" autofocus x="${IMG_PAYLOAD}`,
+    url: 'javascript:alert(1)',
+    homepage: 'JaVaScRiPt:alert(document.cookie)',
+    language: '"><script>',
+    languages: [
+        { name: SCRIPT_PAYLOAD, bytes: 10, percent: 60 },
+        { name: '" style="background:url(javascript:alert(1))', bytes: 5, percent: 40 }
+    ],
+    stars: '<b>5</b>',
+    forks: 0,
+    lastUpdated: '<svg onload=alert(1)>',
+    topics: ['" onclick="alert(1)', '<iframe src=javascript:alert(1)>', "' onmouseenter='alert(1)"],
+    screenshots: ['data:text/html,<script>alert(1)</script>'],
+    role: '<a href="javascript:alert(1)">role</a>',
+    isFeatured: true,
+    isFork: true,
+    isArchived: false,
+    source: 'github',
+    sourceLabel: '<script>alert(1)</script>',
+    ...overrides
+});
+
+// ============================================
+// ASSERTIONS
+// ============================================
+const INJECTED_TAGS = 'script, img, iframe, svg:not([class$="-icon"]), object, embed, b, form';
+
+const expectNothingInjected = (root) => {
+    expect(root.querySelectorAll(INJECTED_TAGS)).toHaveLength(0);
+
+    root.querySelectorAll('*').forEach(element => {
+        [...element.attributes].forEach(({ name, value }) => {
+            expect(name, `<${element.tagName.toLowerCase()} ${name}>`).not.toMatch(/^on/i);
+            expect(['autofocus', 'x']).not.toContain(name);
+            if (name === 'style') expect(value).not.toMatch(/url\(/i);
+        });
+    });
+
+    root.querySelectorAll('[href]').forEach(link => {
+        const href = link.getAttribute('href');
+        expect(href === '#' || /^https?:/i.test(href), href).toBe(true);
+    });
+};
+
+const render = (template) => {
+    const container = document.createElement('div');
+    setHTML(container, template);
+    return container;
+};
+
+// ============================================
+// PROJECT CARDS
+// ============================================
+describe('createProjectCard', () => {
+    it('renders hostile repository data as text', () => {
+        const container = render(createProjectCard(hostileRepository(), 0));
+
+        expectNothingInjected(container);
+        expect(container.querySelectorAll('article')).toHaveLength(1);
+        expect(container.querySelector('.project__title-link').textContent).toBe(IMG_PAYLOAD);
+        expect(container.querySelector('.project__description').textContent)
+            .toBe(hostileRepository().description);
+        expect(container.querySelector('.project__badge--source').textContent)
+            .toBe('<script>alert(1)</script>');
+    });
+
+    it('keeps hostile values inside their attributes', () => {
+        const repo = hostileRepository();
+        const card = render(createProjectCard(repo, 0)).querySelector('article');
+
+        expect(card.dataset.language).toBe(repo.language.toLowerCase());
+        expect(card.dataset.owner).toBe(repo.owner);
+
+        const topics = [...card.querySelectorAll('.project__topic')].map(topic => topic.textContent);
+        expect(topics).toEqual(repo.topics.map(topic => `#${topic}`));
+    });
+
+    it('drops javascript:, data: and vbscript: links and screenshots', () => {
+        const container = render(createProjectCard(hostileRepository({
+            url: 'vbscript:msgbox(1)'
+        }), 0));
+
+        expect(container.querySelector('.project__title-link').getAttribute('href')).toBe('#');
+        expect(container.querySelector('.project__link--demo')).toBeNull();
+        expect(container.querySelector('.project__media')).toBeNull();
+    });
+
+    it('still links http(s) URLs', () => {
+        const container = render(createProjectCard(hostileRepository({
+            url: 'https://github.com/evil/repo',
+            homepage: 'https://evil.example/"onmouseover="alert(1)'
+        }), 0));
+
+        expectNothingInjected(container);
+        expect(container.querySelector('.project__title-link').getAttribute('href'))
+            .toBe('https://github.com/evil/repo');
+        expect(container.querySelector('.project__link--demo').getAttribute('href'))
+            .toBe('https://evil.example/"onmouseover="alert(1)');
+    });
+});
+
+// ============================================
+// LANGUAGE STATS
+// ============================================
+describe('updateLanguageStats', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="language-stats"></div>';
+    });
+
+    it('renders hostile language names as text', () => {
+        updateLanguageStats([
+            { language: '"><script>', bytes: 10, count: 1, percent: 70 },
+            { language: IMG_PAYLOAD, bytes: 3, count: 1, percent: 29.5 },
+            { language: '" style="background:url(javascript:alert(1))', bytes: 1, count: 1, percent: 0.5 }
+        ]);
+
+        const container = document.getElementById('language-stats');
+
+        expectNothingInjected(container);
+        expect([...container.querySelectorAll('.language__name')].map(name => name.textContent))
+            .toEqual(['"><script>', IMG_PAYLOAD, '" style="background:url(javascript:alert(1))']);
+        expect([...container.querySelectorAll('.language__percent')].map(percent => percent.textContent))
+            .toEqual(['70%', '30%', '0.5%']);
+    });
+});
@@ -1,6 +1,110 @@
 import { defineConfig } from 'vite';
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createPortfolioAPI } from './src/js/portfolio-api.js';
+
+// ============================================
+// PORTFOLIO SNAPSHOT PLUGIN
+// Runs the portfolio data pipeline at build time and bundles the result
+// as `virtual:portfolio-snapshot`, so the first paint needs no API call
+// ============================================
+const VIRTUAL_ID = 'virtual:portfolio-snapshot';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+/**
+ * Serve a fixture directory as a fake API: /<source>/<path> maps to
+ * <dir>/<source>/<path>.json (query ignored); page N > 1 of a list maps to
+ * <path>.page-N.json and is empty when that file is missing
+ */
+const startFixtureServer = (dir) => new Promise((resolve) => {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const page = Number(url.searchParams.get('page') || 1);
+    const base = path.join(dir, decodeURIComponent(url.pathname));
+    const file = page > 1 ? `${base}.page-${page}.json` : `${base}.json`;
+
+    res.setHeader('Content-Type', 'application/json');
+
+    if (fs.existsSync(file)) {
+      fs.createReadStream(file).pipe(res);
+    } else if (page > 1) {
+      res.end('[]');
+    } else {
+      res.statusCode = 404;
+      res.end('{"message":"Not Found"}');
+    }
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const portfolioSnapshot = ({
+  fixtures = process.env.PORTFOLIO_FIXTURES,
+  manifest = 'src/data/portfolio.json',
+  liveRefresh = true
+} = {}) => {
+  let command = 'serve';
+  let snapshot = null;
+
+  const createSnapshot = async () => {
+    const options = {
+      manifest: JSON.parse(fs.readFileSync(path.resolve(manifest), 'utf8')),
+      // A build-time token enables the GraphQL backend without shipping it to the client
+      github: { token: process.env.GITHUB_TOKEN },
+      gitlab: { token: process.env.GITLAB_TOKEN }
+    };
+
+    let server = null;
+    if (fixtures) {
+      server = await startFixtureServer(path.resolve(fixtures));
+      const origin = `http://127.0.0.1:${server.address().port}`;
+      options.github = { apiBaseUrl: `${origin}/github`, token: null, retries: 0 };
+      options.gitlab = { apiBaseUrl: `${origin}/gitlab`, token: null, retries: 0 };
+    }
+
+    try {
+      const data = await createPortfolioAPI(options).fetchPortfolioData();
+      return { generatedAt: new Date().toISOString(), source: fixtures ? 'fixtures' : 'api', data };
+    } finally {
+      server?.close();
+    }
+  };
+
+  return {
+    name: 'portfolio-snapshot',
+
+    configResolved(config) {
+      command = config.command;
+    },
+
+    async buildStart() {
+      // The dev server only gets a snapshot when fixtures are configured
+      if (command !== 'build' && !fixtures) return;
+
+      try {
+        snapshot = await createSnapshot();
+        this.info?.(`portfolio snapshot: ${snapshot.data.repositories.length} repositories from ${snapshot.source}`);
+      } catch (error) {
+        this.warn(`portfolio snapshot skipped, the page will fetch live data: ${error.message}`);
+        snapshot = null;
+      }
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return null;
+
+      return `export default ${JSON.stringify(snapshot && { ...snapshot, liveRefresh })};`;
+    }
+  };
+};
 
 export default defineConfig({
+  plugins: [portfolioSnapshot()],
   server: {
     port: 3000,
     open: true,